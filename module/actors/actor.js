@@ -1,6 +1,7 @@
-/* global Actor, CONFIG, CONST, Dialog, Die, duplicate, game, getProperty, Hooks, mergeObject, Roll, TextEditor, Token, ui */
+/* global Actor, canvas, ChatMessage, CONFIG, CONST, Dialog, Die, duplicate, foundry, game, getProperty, Hooks, mergeObject, Roll, TextEditor, Token, ui */
 
 import { COC7 } from '../config.js'
+import { CoC7Inventory } from './inventory.js'
 import { CoC7Check } from '../check.js'
 import { CoC7ConCheck } from '../chat/concheck.js'
 import { RollDialog } from '../apps/roll-dialog.js'
@@ -16,6 +17,7 @@ import { chatHelper } from '../chat/helper.js'
 import { CoC7Dice } from '../dice.js'
 import { CoC7Item } from '../items/item.js'
 import { CoC7Utilities } from '../utilities.js'
+import { CoC7HitLocation } from '../chat/combat/hit-location.js'
 
 /**
  * Extend the base Actor class to implement additional logic specialized for CoC 7th.
@@ -212,6 +214,57 @@ export class CoCActor extends Actor {
     return this.hasConditionStatus(COC7.status.indefInsane)
   }
 
+  /**
+   * Phobias and manias set off by one of the keywords.
+   * A trigger of the status matches a keyword containing it, whatever the case.
+   * @param {Array} keywords creature name, creature type, source of the SAN check.
+   */
+  triggeredStatuses (keywords = []) {
+    const sources = keywords
+      .filter(keyword => keyword)
+      .map(keyword => String(keyword).toLowerCase())
+    if (!sources.length) return []
+    return this.items.filter(item => {
+      if (item.type !== 'status') return false
+      if (!item.data.data.type?.phobia && !item.data.data.type?.mania) {
+        return false
+      }
+      return String(item.data.data.triggers || '')
+        .split(',')
+        .map(trigger => trigger.trim().toLowerCase())
+        .filter(trigger => trigger)
+        .some(trigger => sources.some(source => source.includes(trigger)))
+    })
+  }
+
+  /**
+   * Remove the statuses that do not outlast an indefinite insanity,
+   * the ones gained during the insanity and not marked permanent.
+   * The statuses the actor already had are recorded when the insanity starts.
+   */
+  async clearInsanityStatuses () {
+    const previous = this.getFlag('CoC7', 'insanityStatuses')
+    if (!previous) return
+    await this.unsetFlag('CoC7', 'insanityStatuses')
+    const statuses = this.items.filter(
+      item =>
+        item.type === 'status' &&
+        !previous.includes(item.id) &&
+        !item.data.data.duration?.permanent
+    )
+    if (!statuses.length) return
+    await this.deleteEmbeddedDocuments(
+      'Item',
+      statuses.map(item => item.id)
+    )
+    ui.notifications.info(
+      game.i18n.format('CoC7.InsanityStatusesCleared', {
+        actor: this.name,
+        statuses: statuses.map(item => item.name).join(', ')
+      })
+    )
+  }
+
   get portrait () {
     if (!game.settings.get('CoC7', 'useToken')) return this.img
     if (this.isToken) {
@@ -625,6 +678,18 @@ export class CoCActor extends Actor {
     await this.update({ 'data.biography': bio })
   }
 
+  /**
+   * Mark a backstory section as the core connection of the investigator, used for self-help.
+   * @param {Number} index section toggled, null to break the core connection.
+   */
+  async setCoreConnection (index) {
+    const bio = duplicate(this.data.data.biography)
+    bio.forEach((section, i) => {
+      section.coreConnection = i === index && !section.coreConnection
+    })
+    await this.update({ 'data.biography': bio })
+  }
+
   async deleteBioSection (index) {
     const bio = duplicate(this.data.data.biography)
     bio.splice(index, 1)
@@ -1401,14 +1466,17 @@ export class CoCActor extends Actor {
     return parseInt(this.data.data.attribs?.lck?.value)
   }
 
-  async setLuck (value) {
-    return await this.update({ 'data.attribs.lck.value': value })
+  async setLuck (value, source = null) {
+    return await this.update(
+      { 'data.attribs.lck.value': value },
+      { historySource: source }
+    )
   }
 
-  async spendLuck (amount) {
+  async spendLuck (amount, source = null) {
     amount = parseInt(amount)
     if (!(this.luck >= amount)) return false
-    return this.setLuck(this.luck - amount)
+    return this.setLuck(this.luck - amount, source)
   }
 
   get hp () {
@@ -1456,14 +1524,20 @@ export class CoCActor extends Actor {
     return parseInt(this.data.data.attribs.hp.max)
   }
 
-  async setHp (value) {
+  /**
+   * @param {Object} source type and name of the source of the change, @see historySources
+   */
+  async setHp (value, source = null) {
     if (value < 0) value = 0
     if (['vehicle'].includes(this.data.type)) {
       if (value > this.build) value = parseInt(this.build)
       return await this.update({ 'data.attribs.build.current': value })
     }
     if (value > this.hpMax) value = parseInt(this.hpMax)
-    return await this.update({ 'data.attribs.hp.value': value })
+    return await this.update(
+      { 'data.attribs.hp.value': value },
+      { historySource: source }
+    )
   }
 
   async addUniqueItems (skillList, flag = null) {
@@ -1862,16 +1936,19 @@ export class CoCActor extends Actor {
       encounteredCreaturesList.push(newSanData)
     }
 
-    await this.setSan(this.san - exactSanLoss)
+    await this.setSan(this.san - exactSanLoss, {
+      type: 'creature',
+      name: creatureSanData.name
+    })
     await this.update({
       'data.encounteredCreatures': encounteredCreaturesList
     })
     return exactSanLoss
   }
 
-  async looseSan (sanLoss, creature = null) {
+  async looseSan (sanLoss, creature = null, source = null) {
     if (creature) await this.looseSanToCreature(sanLoss, creature)
-    else await this.setSan(this.san - sanLoss)
+    else await this.setSan(this.san - sanLoss, source)
   }
 
   get sanData () {
@@ -1932,10 +2009,13 @@ export class CoCActor extends Actor {
     return parseInt(this.data.data.attribs.mp.value)
   }
 
-  async setMp (value) {
+  async setMp (value, source = null) {
     if (value < 0) value = 0
     if (value > parseInt(this.mpMax)) value = parseInt(this.mpMax)
-    return await this.update({ 'data.attribs.mp.value': value })
+    return await this.update(
+      { 'data.attribs.mp.value': value },
+      { historySource: source }
+    )
   }
 
   get san () {
@@ -2035,7 +2115,7 @@ export class CoCActor extends Actor {
     return false
   }
 
-  async setSan (value) {
+  async setSan (value, source = null) {
     if (value < 0) value = 0
     if (value > this.sanMax) value = this.sanMax
     const loss = parseInt(this.data.data.attribs.san.value) - value
@@ -2072,11 +2152,19 @@ export class CoCActor extends Actor {
       if (totalLoss >= Math.floor(this.san / 5)) {
         this.setCondition(COC7.status.indefInsane)
       }
-      return await this.update({
-        'data.attribs.san.value': value,
-        'data.attribs.san.dailyLoss': totalLoss
-      })
-    } else return await this.update({ 'data.attribs.san.value': value })
+      return await this.update(
+        {
+          'data.attribs.san.value': value,
+          'data.attribs.san.dailyLoss': totalLoss
+        },
+        { historySource: source }
+      )
+    } else {
+      return await this.update(
+        { 'data.attribs.san.value': value },
+        { historySource: source }
+      )
+    }
   }
 
   async setAttribAuto (value, attrib) {
@@ -2132,7 +2220,29 @@ export class CoCActor extends Actor {
     return this.data.data.attribs.db.value
   }
 
+  /**
+   * MOV reduced by the encumbrance penalty when the optional rule is used.
+   */
   get mov () {
+    const mov = this.baseMov
+    const encumbrance = this.encumbrance
+    if (!encumbrance || isNaN(parseInt(mov))) return mov
+    return Math.max(0, parseInt(mov) - encumbrance)
+  }
+
+  get inventoryWeight () {
+    return CoC7Inventory.weight(this)
+  }
+
+  get carryCapacity () {
+    return CoC7Inventory.capacity(this)
+  }
+
+  get encumbrance () {
+    return CoC7Inventory.encumbrance(this)
+  }
+
+  get baseMov () {
     if (['vehicle'].includes(this.data.type)) {
       return this.data.data.attribs.mov.value
     }
@@ -2616,6 +2726,183 @@ export class CoCActor extends Actor {
     })
   }
 
+  /**
+   * Vehicle crew members with their actor, [{ actorKey, role, actor }].
+   */
+  get crew () {
+    if (this.data.type !== 'vehicle') return []
+    return (this.data.data.crew?.list || [])
+      .map(member => {
+        return {
+          actorKey: member.actorKey,
+          role: member.role,
+          actor: chatHelper.getActorFromKey(member.actorKey)
+        }
+      })
+      .filter(member => member.actor)
+  }
+
+  get driver () {
+    return this.crew.find(member => member.role === 'driver')?.actor
+  }
+
+  get gunners () {
+    return this.crew
+      .filter(member => member.role === 'gunner')
+      .map(member => member.actor)
+  }
+
+  get passengers () {
+    return this.crew
+      .filter(member => member.role === 'passenger')
+      .map(member => member.actor)
+  }
+
+  get drivingSkillName () {
+    return (
+      this.data.data.skill?.driving ||
+      game.i18n.localize('CoC7.DriveAutoSkillName')
+    )
+  }
+
+  /**
+   * New crew members are passengers unless another role is given, within the crew count.
+   */
+  async addCrewMember (actorKey, role = 'passenger') {
+    if (this.data.type !== 'vehicle') return
+    if (!COC7.vehicleCrewRoles[role]) role = 'passenger'
+    const list = duplicate(this.data.data.crew.list || [])
+    if (list.find(member => member.actorKey === actorKey)) return
+    if (this.crewRoleFull(list, role)) return
+    if (role === 'driver') {
+      list.filter(m => m.role === 'driver').forEach(m => (m.role = 'passenger'))
+    }
+    list.push({ actorKey: actorKey, role: role })
+    await this.update({ 'data.crew.list': list })
+  }
+
+  async removeCrewMember (actorKey) {
+    const list = duplicate(this.data.data.crew.list || []).filter(
+      member => member.actorKey !== actorKey
+    )
+    await this.update({ 'data.crew.list': list })
+  }
+
+  /**
+   * Roles other than the driver are limited by the crew count when it is set.
+   * @returns {Boolean} true, with a warning, when the role has no room left for the member.
+   */
+  crewRoleFull (list, role, member = null) {
+    if (role === 'driver') return false
+    const max = parseInt(
+      this.data.data.crew.count?.[role === 'passenger' ? 'pax' : role]
+    )
+    if (
+      isNaN(max) ||
+      list.filter(m => m.role === role && m !== member).length < max
+    ) {
+      return false
+    }
+    ui.notifications.warn(
+      game.i18n.format('CoC7.WarnCrewRoleFull', {
+        role: game.i18n.localize(COC7.vehicleCrewRoles[role])
+      })
+    )
+    return true
+  }
+
+  /**
+   * Only one driver at a time, the previous driver becomes a passenger.
+   * Roles are limited by the crew count when it is set.
+   */
+  async setCrewRole (actorKey, role) {
+    const list = duplicate(this.data.data.crew.list || [])
+    const member = list.find(m => m.actorKey === actorKey)
+    if (!member || !COC7.vehicleCrewRoles[role]) return
+    if (this.crewRoleFull(list, role, member)) return
+    if (role === 'driver') {
+      list.filter(m => m.role === 'driver').forEach(m => (m.role = 'passenger'))
+    }
+    member.role = role
+    await this.update({ 'data.crew.list': list })
+  }
+
+  /**
+   * Roll the driver's driving skill for this vehicle.
+   */
+  async drivingCheck (options = {}) {
+    const driver = this.driver
+    if (!driver) {
+      ui.notifications.warn(
+        game.i18n.format('CoC7.WarnNoDriver', { vehicle: this.name })
+      )
+      return null
+    }
+    const skill =
+      driver.find(this.drivingSkillName)?.value || driver.driveSkills[0]
+    if (!skill) {
+      ui.notifications.warn(
+        game.i18n.format('CoC7.ErrorNotFoundForActor', {
+          missing: this.drivingSkillName,
+          actor: driver.name
+        })
+      )
+      return null
+    }
+    const check = new CoC7Check()
+    check.actor = driver.actorKey
+    check.skill = skill
+    if (options.difficulty) check.difficulty = options.difficulty
+    if (options.diceModifier) check.diceModifier = options.diceModifier
+    if (options.parent) check.parent = options.parent
+    await check.roll()
+    await check.toMessage()
+    return check
+  }
+
+  /**
+   * Apply the vehicle incident (crash or collision) damage.
+   * The vehicle loses build and each crew member takes damage.
+   * @param {String} severity key of COC7.vehicleIncidents
+   */
+  async crash (severity) {
+    const incident = COC7.vehicleIncidents[severity]
+    if (this.data.type !== 'vehicle' || !incident) return
+    const buildRoll = await new Roll(incident.build).roll({ async: true })
+    const buildLost = await this.dealDamage(Math.max(0, buildRoll.total), {
+      ignoreArmor: true,
+      buildDamage: true
+    })
+    const lines = [
+      game.i18n.format('CoC7.VehicleBuildLost', {
+        vehicle: this.name,
+        build: buildLost
+      })
+    ]
+    for (const member of this.crew) {
+      const damageRoll = await new Roll(incident.occupants).roll({
+        async: true
+      })
+      if (damageRoll.total <= 0) continue
+      await member.actor.dealDamage(damageRoll.total)
+      lines.push(
+        game.i18n.format('CoC7.OccupantDamage', {
+          name: member.actor.name,
+          damage: damageRoll.total
+        })
+      )
+    }
+    if (this.hp <= 0) {
+      lines.push(
+        game.i18n.format('CoC7.VehicleWrecked', { vehicle: this.name })
+      )
+    }
+    await chatHelper.createMessage(
+      game.i18n.localize(incident.label),
+      lines.map(l => `<p>${l}</p>`).join('')
+    )
+  }
+
   get tokenKey () {
     // Clarifier ca et tokenid
     /** * MODIF 0.8.x */
@@ -3027,6 +3314,13 @@ export class CoCActor extends Actor {
       }
     }
     if (forceValue || !game.settings.get('CoC7', 'enableStatusIcons')) {
+      if (conditionName === COC7.status.indefInsane && !this.hasIndefInsane) {
+        await this.setFlag(
+          'CoC7',
+          'insanityStatuses',
+          this.items.filter(item => item.type === 'status').map(item => item.id)
+        )
+      }
       switch (conditionName) {
         case COC7.status.indefInsane:
         case COC7.status.unconscious:
@@ -3095,6 +3389,8 @@ export class CoCActor extends Actor {
   }
 
   async unsetCondition (conditionName, { forceValue = false } = {}) {
+    // Deleting the indefinite insanity effect clears the statuses from the deleteActiveEffect hook
+    let clearStatuses = !game.settings.get('CoC7', 'enableStatusIcons')
     if (!forceValue && game.settings.get('CoC7', 'enableStatusIcons')) {
       const effects = this.effects
         .filter(effect => effect.data.flags.core?.statusId === conditionName)
@@ -3103,9 +3399,11 @@ export class CoCActor extends Actor {
         await super.deleteEmbeddedDocuments('ActiveEffect', effects)
       } else {
         forceValue = true
+        clearStatuses = true
       }
     }
     if (forceValue || !game.settings.get('CoC7', 'enableStatusIcons')) {
+      const active = this.data.data.conditions?.[conditionName]?.value
       switch (conditionName) {
         case COC7.status.tempoInsane:
         case COC7.status.indefInsane:
@@ -3119,6 +3417,13 @@ export class CoCActor extends Actor {
           })
           break
       }
+      if (
+        clearStatuses &&
+        conditionName === COC7.status.indefInsane &&
+        active
+      ) {
+        await this.clearInsanityStatuses()
+      }
     }
   }
 
@@ -3269,6 +3574,62 @@ export class CoCActor extends Actor {
     return 0
   }
 
+  get creditFactor () {
+    return parseInt(this.data.data.credit?.multiplier) || 1
+  }
+
+  get monetarySymbol () {
+    return this.data.data.credit?.monetarySymbol || '$'
+  }
+
+  /**
+   * Spending level, cash and assets in the actor currency.
+   * Cash is reduced by the amount spent, entered by the player or paid for purchases,
+   * and assets by the amount liquidated.
+   */
+  get credits () {
+    const credit = this.data.data.credit || {}
+    const manual = this.getActorFlag('manualCredit')
+    const factor = this.creditFactor
+    const spent =
+      (parseFloat(credit.spent) || 0) + (parseFloat(credit.purchases) || 0)
+    const liquidated = parseFloat(credit.liquidated) || 0
+    const spendingLevel = manual
+      ? parseFloat(credit.spendingLevel) || 0
+      : this.spendingLevel * factor
+    const cash = manual ? parseFloat(credit.cash) || 0 : this.cash * factor
+    const assets = manual
+      ? parseFloat(credit.assets) || 0
+      : this.assets * factor
+    return {
+      spendingLevel: spendingLevel,
+      cash: cash + liquidated - spent,
+      assets: assets - liquidated
+    }
+  }
+
+  /**
+   * Pay an amount from the actor cash.
+   * Amounts above the spending level or the cash left must be paid by liquidating assets.
+   * The amount is added to the purchases, the spent text entered by the player is kept.
+   * @returns {Boolean} true if the amount was paid.
+   */
+  async spend (amount, { liquidate = false } = {}) {
+    const credits = this.credits
+    const credit = this.data.data.credit || {}
+    const purchases = (parseFloat(credit.purchases) || 0) + amount
+    if (amount <= credits.spendingLevel && amount <= credits.cash) {
+      await this.update({ 'data.credit.purchases': purchases })
+      return true
+    }
+    if (!liquidate || amount > credits.assets) return false
+    await this.update({
+      'data.credit.purchases': purchases,
+      'data.credit.liquidated': (parseFloat(credit.liquidated) || 0) + amount
+    })
+    return true
+  }
+
   get skills () {
     const skillList = []
     for (const value of this.items) {
@@ -3307,16 +3668,91 @@ export class CoCActor extends Actor {
       const healthAfter = parseInt(event.originalEvent.currentTarget.value)
       let damageTaken
       // is healing
-      if (healthAfter > healthBefore) return await this.setHp(healthAfter)
-      else if (healthAfter < 0) damageTaken = Math.abs(healthAfter)
+      if (healthAfter > healthBefore) {
+        return await this.setHp(healthAfter, { type: 'manual' })
+      } else if (healthAfter < 0) damageTaken = Math.abs(healthAfter)
       else damageTaken = healthBefore - healthAfter
       this.render(true) // needed, or negative values will not work
-      return await this.dealDamage(damageTaken, { ignoreArmor: true })
+      return await this.dealDamage(damageTaken, {
+        ignoreArmor: true,
+        sourceType: 'manual'
+      })
     }
   }
 
+  /**
+   * Armor items worn by the actor.
+   */
+  get wornArmor () {
+    return this.items.filter(item => item.isArmor && item.data.data.armor.worn)
+  }
+
+  /**
+   * Armor against a damage type, the actor armor plus the worn armor items.
+   * Only the best worn piece counts unless the armor stacking setting is enabled.
+   * @param {String} damageType a key of COC7.damageTypes, worn armor does not count without it.
+   * @param {Boolean} impaled true when the hit impales, pieces bypassed by impaling do not count.
+   * @param {String} location hit location, pieces covering other locations do not count.
+   * @returns {Object} {formula, bypassed} the armor formula and the names of the bypassed pieces.
+   */
+  armorProtection (damageType = null, impaled = false, location = null) {
+    const values = []
+    const bypassed = []
+    const base = this.data.data.attribs?.armor?.value
+    if (base !== null && typeof base !== 'undefined' && `${base}`.trim()) {
+      values.push(`${base}`.trim())
+    }
+    const pieces = []
+    if (damageType) {
+      for (const item of this.wornArmor) {
+        const armor = item.data.data.armor
+        if (!armor[damageType]) continue
+        if (location && !CoCActor.armorCovers(armor, location)) continue
+        if (impaled && armor.bypassedByImpale) bypassed.push(item.name)
+        else pieces.push(`${armor[damageType]}`.trim())
+      }
+    }
+    if (game.settings.get('CoC7', 'armorStacking')) values.push(...pieces)
+    else if (pieces.length) {
+      values.push(
+        pieces.reduce((best, value) =>
+          CoCActor.armorMaximum(value) > CoCActor.armorMaximum(best)
+            ? value
+            : best
+        )
+      )
+    }
+    return { formula: values.join(' + '), bypassed: bypassed }
+  }
+
+  /**
+   * Armor without any location selected covers the whole body.
+   */
+  static armorCovers (armor, location) {
+    const locations = armor.locations || {}
+    if (!Object.values(locations).some(covered => covered)) return true
+    return !!locations[location]
+  }
+
+  static armorMaximum (value) {
+    if (!isNaN(Number(value))) return Number(value)
+    if (!Roll.validate(value)) return 0
+    return new Roll(value).evaluate({ maximize: true }).total
+  }
+
+  /**
+   * @param {Number} amount damage before armor.
+   * @param {Object} options ignoreArmor, buildDamage,
+   * damageType, impaled and location to pick the armor protection,
+   * source of the wound and sourceType for the history, @see historySources
+   */
   async dealDamage (amount, options = {}) {
-    const armorData = this.data.data.attribs.armor.value
+    const protection = this.armorProtection(
+      options.damageType,
+      options.impaled,
+      options.location
+    )
+    const armorData = protection.formula || null
     const grossDamage = parseInt(amount)
     let armorValue = 0
     if (!options.ignoreArmor) {
@@ -3334,7 +3770,19 @@ export class CoCActor extends Actor {
     }
     const netDamage = grossDamage - armorValue
     if (netDamage <= 0) return 0
-    await this.setHp(this.hp - netDamage)
+    if (['vehicle'].includes(this.data.type)) {
+      // Vehicles lose 1 build point for every full 10 points of damage.
+      const buildDamage = options.buildDamage
+        ? netDamage
+        : Math.floor(netDamage / 10)
+      if (buildDamage > 0) await this.setHp(this.hp - buildDamage)
+      return buildDamage
+    }
+    await this.setHp(this.hp - netDamage, {
+      type: options.sourceType || 'other',
+      name: options.source || ''
+    })
+    await this.addWound(netDamage, options)
     if (netDamage >= this.hpMax) {
       await this.setCondition(COC7.status.dead)
     } else {
@@ -3355,6 +3803,7 @@ export class CoCActor extends Actor {
         let hasMajorWound = false
         if (netDamage >= Math.ceil(this.hpMax / 2)) {
           await this.setCondition(COC7.status.criticalWounds)
+          await this.scheduleRecovery()
           hasMajorWound = true
         } else {
           hasMajorWound = this.hasConditionStatus(COC7.status.criticalWounds)
@@ -3370,6 +3819,394 @@ export class CoCActor extends Actor {
     return netDamage
   }
 
+  /**
+   * Record the HP, SAN, MP and Luck changes in the history of the actor.
+   * @param {Object} context historySource, type and name of the source of the change.
+   */
+  async update (data = {}, context = {}) {
+    const entries = this.historyEntries(data, context.historySource)
+    if (entries.length) {
+      data = foundry.utils.flattenObject(data)
+      data['data.history'] = [...this.data.data.history, ...entries]
+    }
+    return await super.update(data, context)
+  }
+
+  static get historyAttributes () {
+    return {
+      hp: 'CoC7.HitPoints',
+      san: 'CoC7.SanityPoints',
+      mp: 'CoC7.MagicPoints',
+      lck: 'CoC7.Luck'
+    }
+  }
+
+  static get historySources () {
+    return {
+      weapon: 'CoC7.HistorySourceWeapon',
+      creature: 'CoC7.HistorySourceCreature',
+      spell: 'CoC7.HistorySourceSpell',
+      book: 'CoC7.HistorySourceBook',
+      manual: 'CoC7.HistorySourceManual',
+      revert: 'CoC7.HistorySourceRevert',
+      other: 'CoC7.HistorySourceOther'
+    }
+  }
+
+  /**
+   * History entries of the attribute values changed by an update.
+   * @param {Object} data update data, flat or expanded.
+   * @param {Object} source type, name and revertOf for a revert.
+   */
+  historyEntries (data, source = null) {
+    if (!this.data.data.history) return []
+    const changes = foundry.utils.flattenObject(data)
+    const entries = []
+    for (const attribute of Object.keys(CoCActor.historyAttributes)) {
+      const key = `data.attribs.${attribute}.value`
+      if (!(key in changes)) continue
+      const from = parseInt(this.data.data.attribs?.[attribute]?.value)
+      const to = parseInt(changes[key])
+      if (isNaN(from) || isNaN(to) || from === to) continue
+      entries.push({
+        id: foundry.utils.randomID(16),
+        attribute: attribute,
+        from: from,
+        to: to,
+        amount: to - from,
+        source: {
+          type: CoCActor.historySources[source?.type] ? source.type : 'other',
+          name: source?.name || ''
+        },
+        revertOf: source?.revertOf || null,
+        user: game.user.name,
+        worldTime: game.time.worldTime,
+        date: new Date().toISOString()
+      })
+    }
+    return entries
+  }
+
+  /**
+   * History from the most recent change, with its labels.
+   * @param {Object} filter attribute and source type to show, all when empty.
+   */
+  getHistory (filter = {}) {
+    const history = this.data.data.history || []
+    const reverted = history.map(entry => entry.revertOf).filter(id => id)
+    return history
+      .filter(
+        entry =>
+          (!filter.attribute || entry.attribute === filter.attribute) &&
+          (!filter.source || entry.source?.type === filter.source)
+      )
+      .map(entry => {
+        return {
+          ...entry,
+          attributeLabel: CoCActor.historyAttributes[entry.attribute],
+          sourceLabel: CoCActor.historySources[entry.source?.type],
+          amountText: entry.amount > 0 ? `+${entry.amount}` : entry.amount,
+          reverted: reverted.includes(entry.id),
+          canRevert: !entry.revertOf && !reverted.includes(entry.id),
+          dateText: new Date(entry.date).toLocaleString()
+        }
+      })
+      .reverse()
+  }
+
+  /**
+   * Undo the change of one history entry, the revert is recorded as a new entry.
+   * The value goes through the attribute setter and stays within its limits,
+   * a SAN loss reverted is taken off the daily loss, a SAN gain reverted is not counted as a loss.
+   */
+  async revertHistory (entryId) {
+    if (!game.user.isGM) return false
+    const history = this.data.data.history || []
+    const entry = history.find(e => e.id === entryId)
+    if (!entry || history.some(e => e.revertOf === entryId)) return false
+    const current = parseInt(this.data.data.attribs[entry.attribute].value)
+    const value = Math.max(current - entry.amount, 0)
+    const source = {
+      type: 'revert',
+      name: entry.source?.name || '',
+      revertOf: entry.id
+    }
+    switch (entry.attribute) {
+      case 'hp':
+        await this.setHp(value, source)
+        break
+      case 'mp':
+        await this.setMp(value, source)
+        break
+      case 'lck':
+        await this.setLuck(value, source)
+        break
+      case 'san': {
+        if (entry.amount > 0) {
+          /** Undoing a gain is not a SAN loss, it does not count toward the daily loss or insanity */
+          await this.update(
+            { 'data.attribs.san.value': value },
+            { historySource: source }
+          )
+          break
+        }
+        await this.setSan(value, source)
+        const restored = this.san - current
+        if (restored > 0) {
+          const dailyLoss = parseInt(this.data.data.attribs.san.dailyLoss) || 0
+          await this.update({
+            'data.attribs.san.dailyLoss': Math.max(dailyLoss - restored, 0)
+          })
+        }
+        break
+      }
+      default:
+        return false
+    }
+    return true
+  }
+
+  /**
+   * Wounds received by the actor, with the label of their location.
+   */
+  get wounds () {
+    return (this.data.data.wounds || []).map(wound => {
+      return {
+        ...wound,
+        locationLabel: CoC7HitLocation.label(wound.location)
+      }
+    })
+  }
+
+  /**
+   * Record a wound, a major wound is half the maximum HP or more.
+   * @param {Number} damage HP lost.
+   * @param {Object} options location and source of the wound.
+   */
+  async addWound (damage, options = {}) {
+    if (!this.data.data.wounds) return
+    const wounds = [
+      ...this.data.data.wounds,
+      {
+        id: foundry.utils.randomID(16),
+        damage: damage,
+        major: damage >= Math.ceil(this.hpMax / 2),
+        location: options.location || null,
+        source: options.source || '',
+        firstAid: false,
+        medicine: false,
+        worldTime: game.time.worldTime,
+        date: new Date().toISOString()
+      }
+    ]
+    await this.update({ 'data.wounds': wounds })
+  }
+
+  async removeWound (woundId) {
+    const wounds = (this.data.data.wounds || []).filter(
+      wound => wound.id !== woundId
+    )
+    await this.update({ 'data.wounds': wounds })
+  }
+
+  static get treatments () {
+    return {
+      firstAid: 'CoC7.FirstAidSkillName',
+      medicine: 'CoC7.MedicineSkillName'
+    }
+  }
+
+  /**
+   * Treat a wound with First Aid or Medicine, each treatment heals a wound once.
+   * The healer is the token controlled by the user, its character or the patient.
+   * First Aid heals 1 HP and stabilises a dying patient, Medicine heals 1D3 HP.
+   * @param {String} woundId
+   * @param {String} treatment firstAid or medicine.
+   */
+  async treatWound (woundId, treatment) {
+    const wound = (this.data.data.wounds || []).find(w => w.id === woundId)
+    const skillName = CoCActor.treatments[treatment]
+    if (!wound || !skillName) return false
+    if (wound[treatment]) {
+      ui.notifications.warn(
+        game.i18n.format('CoC7.WarnWoundTreated', {
+          treatment: game.i18n.localize(skillName)
+        })
+      )
+      return false
+    }
+    const healer =
+      canvas?.tokens?.controlled[0]?.actor || game.user.character || this
+    const skill = healer.find(game.i18n.localize(skillName))?.value
+    if (!skill) {
+      ui.notifications.warn(
+        game.i18n.format('CoC7.ErrorNotFoundForActor', {
+          missing: game.i18n.localize(skillName),
+          actor: healer.name
+        })
+      )
+      return false
+    }
+    const check = new CoC7Check()
+    check.actor = healer.actorKey
+    check.skill = skill
+    check.denyPush = true
+    check.denyLuck = true
+    await check.roll()
+    await check.toMessage()
+    if (!check.passed) return false
+
+    const amount =
+      treatment === 'firstAid'
+        ? 1
+        : (await new Roll('1D3').roll({ async: true })).total
+    const data = {
+      actorKey: this.actorKey,
+      woundId: woundId,
+      treatment: treatment,
+      amount: amount
+    }
+    if (this.isOwner) await CoCActor.applyTreatment(data)
+    else await game.CoC7socket.executeAsGM('gmapplytreatment', data)
+    await chatHelper.createMessage(
+      game.i18n.localize(skillName),
+      game.i18n.format('CoC7.WoundTreated', {
+        healer: healer.name,
+        actor: this.name,
+        amount: amount
+      }),
+      { speaker: ChatMessage.getSpeaker({ actor: healer }) }
+    )
+    return true
+  }
+
+  /**
+   * Heal the patient and mark the wound as treated, run by an owner of the patient.
+   * @param {Object} data actorKey, woundId, treatment and amount of HP healed.
+   */
+  static async applyTreatment (data) {
+    const actor = chatHelper.getActorFromKey(data.actorKey)
+    if (!actor) return false
+    const wounds = (actor.data.data.wounds || []).map(wound =>
+      wound.id === data.woundId ? { ...wound, [data.treatment]: true } : wound
+    )
+    await actor.update(
+      {
+        'data.wounds': wounds,
+        'data.attribs.hp.value': Math.min(actor.hpMax, actor.hp + data.amount)
+      },
+      {
+        historySource: {
+          type: 'other',
+          name: game.i18n.localize(CoCActor.treatments[data.treatment])
+        }
+      }
+    )
+    if (data.treatment === 'firstAid' && actor.dying) {
+      await actor.unsetCondition(COC7.status.dying)
+    }
+    if (actor.hp > 0 && actor.unconscious && !actor.dying) {
+      await actor.unsetCondition(COC7.status.unconscious)
+    }
+    return true
+  }
+
+  static get week () {
+    return 7 * 24 * 3600
+  }
+
+  /**
+   * Schedule the weekly recovery roll of a major wound from the world time.
+   */
+  async scheduleRecovery () {
+    if (this.getFlag('CoC7', 'recovery')) return
+    await this.setFlag('CoC7', 'recovery', {
+      next: game.time.worldTime + CoCActor.week
+    })
+  }
+
+  /**
+   * Weekly recovery roll of a major wound, a CON roll with a bonus die when the wound received Medicine.
+   * A success heals 1D3 HP, an extreme success heals 2D3 HP and ends the major wound,
+   * getting back to half the maximum HP ends it too.
+   */
+  async rollRecovery () {
+    const wounds = (this.data.data.wounds || []).filter(
+      wound => wound.major && !wound.recovered
+    )
+    const check = CoC7Check.create({
+      actorKey: this.actorKey,
+      characteristic: 'con',
+      diceModifier: wounds.some(wound => wound.medicine) ? 1 : null
+    })
+    check.denyPush = true
+    check.denyLuck = true
+    await check.roll()
+    await check.toMessage()
+    let amount = 0
+    if (check.passed) {
+      const extreme = check.successLevel >= CoC7Check.successLevel.extreme
+      amount = (await new Roll(extreme ? '2D3' : '1D3').roll({ async: true }))
+        .total
+      await this.setHp(this.hp + amount, {
+        type: 'other',
+        name: game.i18n.localize('CoC7.RecoveryRoll')
+      })
+      if (extreme || this.hp >= Math.ceil(this.hpMax / 2)) {
+        await this.recoverMajorWound()
+      }
+    }
+    await chatHelper.createMessage(
+      game.i18n.localize('CoC7.RecoveryRoll'),
+      game.i18n.format(
+        this.majorWound ? 'CoC7.RecoveryProgress' : 'CoC7.RecoveryComplete',
+        { actor: this.name, amount: amount }
+      ),
+      { speaker: ChatMessage.getSpeaker({ actor: this }) }
+    )
+  }
+
+  async recoverMajorWound () {
+    const wounds = (this.data.data.wounds || []).map(wound =>
+      wound.major ? { ...wound, recovered: true } : wound
+    )
+    await this.update({ 'data.wounds': wounds })
+    await this.unsetFlag('CoC7', 'recovery')
+    await this.unsetCondition(COC7.status.criticalWounds)
+  }
+
+  /**
+   * Roll the recovery of the major wounds once a week has passed, called by the GM when the world time change
+   */
+  static async checkRecovery () {
+    if (!game.user.isGM) return
+    const time = game.time.worldTime
+    const actors = game.actors.contents.concat(
+      (canvas?.tokens?.placeables || [])
+        .filter(token => token.actor && !token.data.actorLink)
+        .map(token => token.actor)
+    )
+    for (const actor of actors) {
+      const recovery = actor.getFlag('CoC7', 'recovery')
+      if (!actor.majorWound || actor.dead) {
+        if (recovery) await actor.unsetFlag('CoC7', 'recovery')
+        continue
+      }
+      if (!recovery) {
+        await actor.scheduleRecovery()
+        continue
+      }
+      let next = recovery.next
+      while (time >= next && actor.majorWound) {
+        await actor.rollRecovery()
+        next += CoCActor.week
+      }
+      if (actor.getFlag('CoC7', 'recovery') && next !== recovery.next) {
+        await actor.setFlag('CoC7', 'recovery.next', next)
+      }
+    }
+  }
+
   get majorWound () {
     return this.hasConditionStatus(COC7.status.criticalWounds)
   }
@@ -0,0 +1,234 @@
+/* global ChatMessage, duplicate, foundry, game, Roll, setProperty, ui */
+
+import { chatHelper } from '../chat/helper.js'
+import { CoC7Check } from '../check.js'
+import { SanCheckCard } from '../chat/cards/san-check.js'
+
+/**
+ * Creature attack profiles: the number of attacks made each round and the natural attacks used,
+ * in turn or picked from a choice table, each with an optional special effect.
+ */
+export class CoC7AttackProfile {
+  static get effects () {
+    return {
+      grab: 'CoC7.AttackEffectGrab',
+      swallow: 'CoC7.AttackEffectSwallow',
+      poison: 'CoC7.AttackEffectPoison',
+      sanity: 'CoC7.AttackEffectSanity'
+    }
+  }
+
+  static profiles (actor) {
+    return actor?.data.data.attackProfiles || []
+  }
+
+  /**
+   * Profiles with the weapon name and the effect label of each attack.
+   */
+  static getData (actor) {
+    return CoC7AttackProfile.profiles(actor).map(profile => {
+      return {
+        ...profile,
+        attacks: (profile.attacks || []).map(attack => {
+          return {
+            ...attack,
+            weaponName: actor.items.get(attack.weaponId)?.name || '',
+            effectLabel: CoC7AttackProfile.effects[attack.effect] || ''
+          }
+        })
+      }
+    })
+  }
+
+  /**
+   * Melee weapons the attacks of a profile can use.
+   */
+  static weapons (actor) {
+    return actor.items.filter(
+      item => item.type === 'weapon' && !item.data.data.properties?.rngd
+    )
+  }
+
+  static async addProfile (actor) {
+    const profiles = duplicate(CoC7AttackProfile.profiles(actor))
+    profiles.push({
+      id: foundry.utils.randomID(16),
+      name: game.i18n.localize('CoC7.AttackProfileNew'),
+      attacksPerRound: 1,
+      choice: '',
+      attacks: []
+    })
+    await actor.update({ 'data.attackProfiles': profiles })
+  }
+
+  static async deleteProfile (actor, index) {
+    const profiles = duplicate(CoC7AttackProfile.profiles(actor))
+    profiles.splice(index, 1)
+    await actor.update({ 'data.attackProfiles': profiles })
+  }
+
+  static async addAttack (actor, index) {
+    const profiles = duplicate(CoC7AttackProfile.profiles(actor))
+    if (!profiles[index]) return
+    profiles[index].attacks = profiles[index].attacks || []
+    profiles[index].attacks.push({
+      id: foundry.utils.randomID(16),
+      weaponId: CoC7AttackProfile.weapons(actor)[0]?.id || '',
+      range: '',
+      effect: '',
+      effectValue: ''
+    })
+    await actor.update({ 'data.attackProfiles': profiles })
+  }
+
+  static async deleteAttack (actor, index, attackIndex) {
+    const profiles = duplicate(CoC7AttackProfile.profiles(actor))
+    if (!profiles[index]?.attacks) return
+    profiles[index].attacks.splice(attackIndex, 1)
+    await actor.update({ 'data.attackProfiles': profiles })
+  }
+
+  /**
+   * @param {String} field path in the profile, attacks.<index>.<field> for an attack.
+   */
+  static async updateField (actor, index, field, value) {
+    const profiles = duplicate(CoC7AttackProfile.profiles(actor))
+    if (!profiles[index]) return
+    setProperty(profiles[index], field, value)
+    await actor.update({ 'data.attackProfiles': profiles })
+  }
+
+  /**
+   * @param {String} range a value or a range like 1-4, an empty range never matches.
+   */
+  static inRange (range, value) {
+    const match = String(range || '').match(/^\s*(\d+)\s*(?:-\s*(\d+))?\s*$/)
+    if (!match) return false
+    const min = parseInt(match[1])
+    const max = match[2] ? parseInt(match[2]) : min
+    return value >= min && value <= max
+  }
+
+  /**
+   * Attacks made during a round. With a choice table each attack is picked by a roll
+   * on the table, otherwise the attacks of the profile are used in turn.
+   * A roll matching no attack range takes the next attack in turn and warns the Keeper of the gap.
+   * @returns {Array} one entry per attack made.
+   */
+  static async roundAttacks (profile) {
+    const attacks = (profile.attacks || []).filter(attack => attack.weaponId)
+    const count = Math.max(parseInt(profile.attacksPerRound) || 1, 1)
+    const round = []
+    if (!attacks.length) return round
+    const table = profile.choice && Roll.validate(profile.choice)
+    for (let index = 0; index < count; index++) {
+      if (table) {
+        const result = (await new Roll(profile.choice).roll({ async: true }))
+          .total
+        const attack = attacks.find(a =>
+          CoC7AttackProfile.inRange(a.range, result)
+        )
+        if (attack) round.push(attack)
+        else {
+          ui.notifications.warn(
+            game.i18n.format('CoC7.WarnAttackTableGap', {
+              profile: profile.name,
+              result: result
+            })
+          )
+          round.push(attacks[index % attacks.length])
+        }
+      } else round.push(attacks[index % attacks.length])
+    }
+    return round
+  }
+
+  static async rollFormula (formula) {
+    if (!formula) return 0
+    if (!isNaN(Number(formula))) return Number(formula)
+    if (!Roll.validate(String(formula))) return 0
+    return (await new Roll(String(formula)).roll({ async: true })).total
+  }
+
+  /**
+   * Apply the special effect of an attack that hit, run by the Keeper.
+   * A grab or a swallow is reported and a swallow deals its damage through the armor,
+   * poison deals its damage, halved by a CON roll, and sanity calls for a SAN check.
+   * @param {String} dealerKey creature attacking.
+   * @param {String} targetKey actor hit.
+   * @param {String} effect @see effects
+   * @param {String} value damage formula or SAN loss like 0/1D6.
+   */
+  static async applyEffect (dealerKey, targetKey, effect, value) {
+    const dealer = chatHelper.getActorFromKey(dealerKey)
+    const target = chatHelper.getActorFromKey(targetKey)
+    if (!dealer || !target || !CoC7AttackProfile.effects[effect]) return false
+    let content
+    switch (effect) {
+      case 'grab':
+        content = game.i18n.format('CoC7.AttackEffectGrabbed', {
+          actor: dealer.name,
+          target: target.name
+        })
+        break
+      case 'swallow': {
+        const damage = await CoC7AttackProfile.rollFormula(value)
+        if (damage > 0) {
+          await target.dealDamage(damage, {
+            ignoreArmor: true,
+            source: dealer.name,
+            sourceType: 'creature'
+          })
+        }
+        content = game.i18n.format('CoC7.AttackEffectSwallowed', {
+          actor: dealer.name,
+          target: target.name,
+          damage: damage
+        })
+        break
+      }
+      case 'poison': {
+        const check = CoC7Check.create({
+          actorKey: target.actorKey,
+          characteristic: 'con'
+        })
+        check.denyPush = true
+        await check.roll()
+        await check.toMessage()
+        let damage = await CoC7AttackProfile.rollFormula(value)
+        if (check.passed) damage = Math.floor(damage / 2)
+        if (damage > 0) {
+          await target.dealDamage(damage, {
+            ignoreArmor: true,
+            source: dealer.name,
+            sourceType: 'creature'
+          })
+        }
+        content = game.i18n.format('CoC7.AttackEffectPoisoned', {
+          target: target.name,
+          damage: damage
+        })
+        break
+      }
+      case 'sanity': {
+        const [sanMin, sanMax] = String(value || '0/0').split('/')
+        await SanCheckCard.create(
+          target.actorKey,
+          { sanMin: sanMin || 0, sanMax: sanMax || 0 },
+          { fastForward: false }
+        )
+        content = game.i18n.format('CoC7.AttackEffectSanityCheck', {
+          actor: dealer.name,
+          target: target.name
+        })
+        break
+      }
+    }
+    await chatHelper.createMessage(
+      game.i18n.localize(CoC7AttackProfile.effects[effect]),
+      content,
+      { speaker: ChatMessage.getSpeaker({ actor: dealer }) }
+    )
+    return true
+  }
+}
@@ -0,0 +1,197 @@
+/* global ChatMessage, CONST, Dialog, foundry, game, JournalEntry, renderTemplate, ui */
+
+import { chatHelper } from '../chat/helper.js'
+import { CoC7Check } from '../check.js'
+
+/**
+ * Delusions fed by the Keeper to an insane investigator and the reality checks to see through them.
+ * The delusions are kept by actor in a journal entry the players cannot observe,
+ * nothing on the actor tells the player which descriptions were altered.
+ */
+export class CoC7Delusion {
+  static get journal () {
+    return game.journal.find(journal =>
+      journal.getFlag('CoC7', 'delusionsJournal')
+    )
+  }
+
+  static key (actor) {
+    return actor.isToken ? actor.token.id : actor.id
+  }
+
+  static delusions (actor) {
+    if (!game.user.isGM) return []
+    return (
+      CoC7Delusion.journal?.getFlag('CoC7', 'delusions')?.[
+        CoC7Delusion.key(actor)
+      ] || []
+    )
+  }
+
+  static async save (actor, delusions) {
+    let journal = CoC7Delusion.journal
+    if (!journal) {
+      journal = await JournalEntry.create({
+        name: game.i18n.localize('CoC7.Delusions'),
+        permission: { default: CONST.ENTITY_PERMISSIONS.NONE },
+        flags: { CoC7: { delusionsJournal: true } }
+      })
+    }
+    await journal.setFlag(
+      'CoC7',
+      `delusions.${CoC7Delusion.key(actor)}`,
+      delusions
+    )
+    if (actor.sheet?.rendered) actor.sheet.render(false)
+  }
+
+  static activeDelusions (actor) {
+    return CoC7Delusion.delusions(actor).filter(delusion => delusion.active)
+  }
+
+  static isInsane (actor) {
+    return actor.hasTempoInsane || actor.hasIndefInsane
+  }
+
+  /**
+   * Whisper the altered description to the players of the actor and keep track of it, run by the Keeper.
+   * @param {String} text what the investigator perceives.
+   * @param {String} truth what really happens, told when the delusion is seen through.
+   */
+  static async create (actor, text, truth = '') {
+    if (!game.user.isGM || !text) return false
+    const whisper = actor.owners.map(user => user.id)
+    if (!whisper.length) {
+      ui.notifications.warn(
+        game.i18n.format('CoC7.WarnNoDelusionPlayer', { actor: actor.name })
+      )
+      return false
+    }
+    await CoC7Delusion.save(actor, [
+      ...CoC7Delusion.delusions(actor),
+      {
+        id: foundry.utils.randomID(16),
+        text: text,
+        truth: truth,
+        active: true,
+        worldTime: game.time.worldTime,
+        date: new Date().toISOString()
+      }
+    ])
+    await chatHelper.createMessage(null, text, { whisper: whisper })
+    return true
+  }
+
+  /**
+   * End a delusion, the truth is whispered to the players when revealed.
+   */
+  static async reveal (actor, delusionId, tell = true) {
+    const delusion = CoC7Delusion.delusions(actor).find(
+      d => d.id === delusionId
+    )
+    if (!delusion?.active) return false
+    await CoC7Delusion.save(
+      actor,
+      CoC7Delusion.delusions(actor).map(d =>
+        d.id === delusionId ? { ...d, active: false } : d
+      )
+    )
+    if (tell) {
+      const whisper = actor.owners.map(user => user.id)
+      let content = game.i18n.format('CoC7.DelusionSeenThrough', {
+        actor: actor.name,
+        delusion: delusion.text
+      })
+      if (delusion.truth) content += `<br>${delusion.truth}`
+      await chatHelper.createMessage(
+        game.i18n.localize('CoC7.Delusion'),
+        content,
+        { whisper: whisper }
+      )
+    }
+    return true
+  }
+
+  static async delete (actor, delusionId) {
+    await CoC7Delusion.save(
+      actor,
+      CoC7Delusion.delusions(actor).filter(d => d.id !== delusionId)
+    )
+  }
+
+  /**
+   * Reality check, a SAN roll made by the player. A failure costs 1 SAN and the delusions remain,
+   * a success lets the Keeper reveal the delusions the investigator sees through.
+   */
+  static async realityCheck (actor) {
+    if (!CoC7Delusion.isInsane(actor)) {
+      ui.notifications.warn(
+        game.i18n.format('CoC7.WarnNotInsane', { actor: actor.name })
+      )
+      return false
+    }
+    const check = CoC7Check.create({
+      actorKey: actor.actorKey,
+      attribute: 'san'
+    })
+    check.denyPush = true
+    await check.roll()
+    await check.toMessage()
+    if (!check.passed) {
+      await actor.setSan(actor.san - 1, {
+        type: 'other',
+        name: game.i18n.localize('CoC7.RealityCheck')
+      })
+    }
+    const html = await renderTemplate(
+      'systems/CoC7/templates/chat/reality-check.html',
+      {
+        actorKey: actor.actorKey,
+        passed: check.passed,
+        text: game.i18n.format(
+          check.passed ? 'CoC7.RealityCheckPassed' : 'CoC7.RealityCheckFailed',
+          { actor: actor.name }
+        )
+      }
+    )
+    await chatHelper.createMessage(
+      game.i18n.localize('CoC7.RealityCheck'),
+      html,
+      { speaker: ChatMessage.getSpeaker({ actor: actor }) }
+    )
+    return check.passed
+  }
+
+  /**
+   * Let the Keeper pick the delusion seen through after a successful reality check.
+   */
+  static async revealDialog (actor) {
+    const delusions = CoC7Delusion.activeDelusions(actor)
+    if (!delusions.length) {
+      ui.notifications.info(
+        game.i18n.format('CoC7.NoActiveDelusion', { actor: actor.name })
+      )
+      return false
+    }
+    let options = ''
+    for (const delusion of delusions) {
+      options += `<option value="${delusion.id}">${delusion.text}</option>`
+    }
+    const delusionId = await new Promise(resolve => {
+      new Dialog({
+        title: game.i18n.localize('CoC7.RevealDelusion'),
+        content: `<form><div class="form-group"><select name="delusion">${options}</select></div></form>`,
+        buttons: {
+          reveal: {
+            label: game.i18n.localize('CoC7.RevealDelusion'),
+            callback: html => resolve(html.find('[name="delusion"]').val())
+          }
+        },
+        default: 'reveal',
+        close: () => resolve(null)
+      }).render(true)
+    })
+    if (!delusionId) return false
+    return await CoC7Delusion.reveal(actor, delusionId)
+  }
+}
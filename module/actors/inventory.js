@@ -0,0 +1,281 @@
+/* global ChatMessage, Dialog, FormData, game, ui */
+
+import { chatHelper } from '../chat/helper.js'
+
+export class CoC7Inventory {
+  /**
+   * Item types that can be carried and traded.
+   */
+  static get physicalTypes () {
+    return ['book', 'item', 'weapon']
+  }
+
+  static quantity (item) {
+    const quantity = parseInt(item.data.data.quantity)
+    return isNaN(quantity) ? 1 : quantity
+  }
+
+  /**
+   * Total weight of the items carried by the actor.
+   */
+  static weight (actor) {
+    let total = 0
+    for (const item of actor.items) {
+      const weight = parseFloat(item.data.data.weight)
+      if (!isNaN(weight)) total += weight * CoC7Inventory.quantity(item)
+    }
+    return Math.round(total * 100) / 100
+  }
+
+  /**
+   * Maximum weight the actor can hold.
+   * Containers use their capacity, characters their STR.
+   * @returns {Number} null when there is no limit.
+   */
+  static capacity (actor) {
+    let capacity
+    if (actor.data.type === 'container') {
+      capacity = parseFloat(actor.data.data.capacity)
+    } else if (actor.data.data.characteristics) {
+      capacity = parseFloat(actor.data.data.characteristics.str.value)
+    }
+    return isNaN(capacity) || capacity <= 0 ? null : capacity
+  }
+
+  /**
+   * Optional encumbrance rule: carrying more than the capacity costs 1 MOV,
+   * plus 1 for each further half of the capacity.
+   * @returns {Number} MOV penalty.
+   */
+  static encumbrance (actor) {
+    if (!game.settings.get('CoC7', 'encumbranceRule')) return 0
+    if (['container', 'vehicle'].includes(actor.data.type)) return 0
+    const capacity = CoC7Inventory.capacity(actor)
+    const weight = CoC7Inventory.weight(actor)
+    if (!capacity || weight <= capacity) return 0
+    return Math.floor((weight - capacity) / (capacity / 2)) + 1
+  }
+
+  static getData (actor) {
+    const weight = CoC7Inventory.weight(actor)
+    const capacity = CoC7Inventory.capacity(actor)
+    const encumbrance = CoC7Inventory.encumbrance(actor)
+    return {
+      weight: weight,
+      capacity: capacity,
+      encumbrance: encumbrance,
+      overCapacity: !!capacity && weight > capacity
+    }
+  }
+
+  /**
+   * Item price for the era selected in the game rules.
+   */
+  static price (item) {
+    const era = game.settings.get('CoC7', 'worldEra')
+    return parseFloat(item.data.data.price?.[era]) || 0
+  }
+
+  /**
+   * Buy one unit of an item from a shop container.
+   * The buyer is asked to liquidate assets when the price is above the spending level or the cash left.
+   */
+  static async purchase (shop, item, buyer) {
+    const price = CoC7Inventory.price(item)
+    const credits = buyer.credits
+    let liquidate = false
+    if (price > credits.spendingLevel || price > credits.cash) {
+      if (price > credits.assets) {
+        ui.notifications.warn(
+          game.i18n.format('CoC7.WarnCannotAfford', {
+            name: buyer.name,
+            item: item.name
+          })
+        )
+        return false
+      }
+      liquidate = await Dialog.confirm({
+        title: game.i18n.localize('CoC7.LiquidateAssets'),
+        content: `<p>${game.i18n.format('CoC7.LiquidateAssetsHint', {
+          item: item.name,
+          price: `${buyer.monetarySymbol}${price}`
+        })}</p>`,
+        defaultYes: false
+      })
+      if (!liquidate) return false
+    }
+
+    const transferred = await game.CoC7socket.executeAsGM('gmtradeitemto', {
+      actorFrom: shop.isToken ? shop.token.id : shop.id,
+      scene: shop.isToken ? shop.token.parent.id : null,
+      actorTo: buyer.isToken ? buyer.token.id : buyer.id,
+      sceneTo: buyer.isToken ? buyer.token.parent.id : null,
+      item: item.id,
+      quantity: 1,
+      user: game.user.id
+    })
+    if (!transferred) return false
+    if (!(await buyer.spend(price, { liquidate: liquidate }))) return false
+
+    let content = `<p>${game.i18n.format('CoC7.PurchaseReceiptContent', {
+      name: buyer.name,
+      item: item.name,
+      price: `${buyer.monetarySymbol}${price}`,
+      shop: shop.name
+    })}</p>`
+    if (liquidate) {
+      content += `<p>${game.i18n.localize('CoC7.PurchaseAssetsLiquidated')}</p>`
+    }
+    content += `<p>${game.i18n.format('CoC7.PurchaseCashLeft', {
+      cash: `${buyer.monetarySymbol}${buyer.credits.cash}`
+    })}</p>`
+    await chatHelper.createMessage(
+      game.i18n.localize('CoC7.PurchaseReceipt'),
+      content,
+      { speaker: ChatMessage.getSpeaker({ actor: buyer }) }
+    )
+    return true
+  }
+
+  static getActor (actorId, sceneId, tokenId) {
+    if (tokenId) {
+      return game.scenes.get(sceneId)?.tokens.get(tokenId)?.actor || null
+    }
+    return game.actors.get(actorId) || null
+  }
+
+  static async promptQuantity (item) {
+    const max = CoC7Inventory.quantity(item)
+    if (max <= 1) return max
+    const content = `<form id="quantityform"><div class="form-group"><label>${game.i18n.format(
+      'CoC7.TransferQuantity',
+      { item: item.name, max: max }
+    )}</label><input type="number" name="quantity" value="${max}" min="1" max="${max}"/></div></form>`
+    return new Promise(resolve => {
+      new Dialog({
+        title: game.i18n.localize('CoC7.TransferItem'),
+        content: content,
+        buttons: {
+          confirm: {
+            label: game.i18n.localize('CoC7.Validate'),
+            callback: html => {
+              const formData = new FormData(
+                html[0].querySelector('#quantityform')
+              )
+              const quantity = parseInt(formData.get('quantity'))
+              resolve(isNaN(quantity) ? 0 : Math.min(max, quantity))
+            }
+          }
+        },
+        default: 'confirm',
+        close: () => resolve(0)
+      }).render(true)
+    })
+  }
+
+  /**
+   * Handle an item dropped from another actor sheet.
+   * Items put in or taken from a container are moved, other drops keep copying the item.
+   * @returns {Boolean} false if the drop is not a transfer with a container.
+   */
+  static async onDropItem (target, data) {
+    if (!data.actorId || !data.data) return false
+    const source = CoC7Inventory.getActor(
+      data.actorId,
+      data.sceneId,
+      data.tokenId
+    )
+    if (!source || source.actorKey === target.actorKey) return false
+    if (source.data.type !== 'container' && target.data.type !== 'container') {
+      return false
+    }
+    const item = source.items.get(data.data._id)
+    if (!item || !CoC7Inventory.physicalTypes.includes(item.type)) return false
+
+    const quantity = await CoC7Inventory.promptQuantity(item)
+    if (quantity <= 0) return true
+
+    const capacity = CoC7Inventory.capacity(target)
+    const weight = (parseFloat(item.data.data.weight) || 0) * quantity
+    if (
+      target.data.type === 'container' &&
+      capacity &&
+      CoC7Inventory.weight(target) + weight > capacity
+    ) {
+      ui.notifications.warn(
+        game.i18n.format('CoC7.WarnContainerFull', { name: target.name })
+      )
+      return true
+    }
+
+    await game.CoC7socket.executeAsGM('gmtradeitemto', {
+      actorFrom: data.tokenId || source.id,
+      scene: data.tokenId ? data.sceneId : null,
+      actorTo: target.isToken ? target.token.id : target.id,
+      sceneTo: target.isToken ? target.token.parent.id : null,
+      item: item.id,
+      quantity: quantity,
+      user: game.user.id
+    })
+    return true
+  }
+
+  /**
+   * Move a quantity of an item from one actor to another.
+   * Stacks are split when only a part is moved and merged with an item of the same name.
+   * Must be run by the GM.
+   */
+  static async transfer (source, target, item, quantity, user) {
+    const total = CoC7Inventory.quantity(item)
+    if (!quantity || quantity > total) quantity = total
+
+    const existing =
+      item.type === 'item'
+        ? target.items.find(i => i.type === 'item' && i.name === item.name)
+        : null
+    if (existing) {
+      await existing.update({
+        'data.quantity': CoC7Inventory.quantity(existing) + quantity
+      })
+    } else {
+      const itemData = item.toJSON()
+      delete itemData._id
+      if (item.type === 'item') itemData.data.quantity = quantity
+      const created = await target.createEmbeddedDocuments('Item', [itemData])
+      if (!created?.length) return false
+    }
+
+    if (quantity < total) {
+      await item.update({ 'data.quantity': total - quantity })
+    } else {
+      await source.deleteEmbeddedDocuments('Item', [item.id])
+    }
+
+    const entry = {
+      user: game.users.get(user)?.name || '',
+      item: item.name,
+      quantity: quantity,
+      date: new Date().toISOString()
+    }
+    if (source.data.type === 'container') {
+      await CoC7Inventory.log(source, {
+        ...entry,
+        actor: target.name,
+        taken: true
+      })
+    }
+    if (target.data.type === 'container') {
+      await CoC7Inventory.log(target, {
+        ...entry,
+        actor: source.name,
+        taken: false
+      })
+    }
+    return true
+  }
+
+  static async log (container, entry) {
+    const log = [...(container.data.data.log || []), entry].slice(-100)
+    await container.update({ 'data.log': log })
+  }
+}
@@ -0,0 +1,293 @@
+/* global canvas, ChatMessage, game, Roll, ui */
+
+import { chatHelper } from '../chat/helper.js'
+import { CoC7Check } from '../check.js'
+import { COC7 } from '../config.js'
+
+/**
+ * Recovering sanity between sessions: self-help through the core connection of the investigator,
+ * monthly Psychoanalysis by a therapist, private care or institutionalisation.
+ */
+export class CoC7SanityRecovery {
+  static get activities () {
+    return {
+      selfHelp: 'CoC7.SanityRecoverySelfHelp',
+      psychoanalysis: 'CoC7.SanityRecoveryPsychoanalysis',
+      privateCare: 'CoC7.SanityRecoveryPrivateCare',
+      institution: 'CoC7.SanityRecoveryInstitution'
+    }
+  }
+
+  /**
+   * Default chance of a good month of care.
+   */
+  static get careQuality () {
+    return { privateCare: 70, institution: 50 }
+  }
+
+  static get month () {
+    return 30 * 24 * 3600
+  }
+
+  /**
+   * Phobias and manias the recovery can heal.
+   */
+  static disorders (actor) {
+    return actor.items.filter(
+      item =>
+        item.type === 'status' &&
+        (item.data.data.type?.phobia || item.data.data.type?.mania)
+    )
+  }
+
+  static coreConnection (actor) {
+    const biography = actor.data.data.biography
+    if (!(biography instanceof Array)) return null
+    return biography.find(section => section.coreConnection) || null
+  }
+
+  /**
+   * Actors with the Psychoanalysis skill, other than the patient.
+   */
+  static therapists (patient) {
+    const name = game.i18n.localize('CoC7.PsychoanalysisSkillName')
+    return game.actors.filter(
+      actor =>
+        actor.id !== patient.id &&
+        ['character', 'npc'].includes(actor.type) &&
+        actor.find(name)?.value?.type === 'skill'
+    )
+  }
+
+  static treatment (actor) {
+    return actor.getFlag('CoC7', 'sanityTreatment') || null
+  }
+
+  /**
+   * @param {Object} options activity, therapistKey for Psychoanalysis,
+   * care chance of private care or institutionalisation, disorderId phobia or mania to heal.
+   */
+  static async start (actor, options = {}) {
+    if (options.activity === 'stop') {
+      return await CoC7SanityRecovery.stopTreatment(actor)
+    }
+    if (options.activity === 'selfHelp') {
+      return await CoC7SanityRecovery.selfHelp(actor, options.disorderId)
+    }
+    return await CoC7SanityRecovery.startTreatment(actor, options)
+  }
+
+  /**
+   * Self-help, time spent with the core connection, once a month of world time.
+   * A SAN roll regains 1D10 SAN, a failure costs 1 SAN and a fumble breaks the core connection.
+   */
+  static async selfHelp (actor, disorderId = null) {
+    const connection = CoC7SanityRecovery.coreConnection(actor)
+    if (!connection) {
+      ui.notifications.warn(
+        game.i18n.format('CoC7.WarnNoCoreConnection', { actor: actor.name })
+      )
+      return false
+    }
+    const now = game.time.worldTime
+    const next = actor.getFlag('CoC7', 'sanitySelfHelp')?.next
+    if (next && now < next) {
+      ui.notifications.warn(
+        game.i18n.format('CoC7.WarnSelfHelpNotDue', {
+          actor: actor.name,
+          days: Math.ceil((next - now) / 86400)
+        })
+      )
+      return false
+    }
+    await actor.setFlag('CoC7', 'sanitySelfHelp', {
+      next: now + CoC7SanityRecovery.month
+    })
+    const check = CoC7Check.create({
+      actorKey: actor.actorKey,
+      attribute: 'san'
+    })
+    check.denyPush = true
+    await check.roll()
+    await check.toMessage()
+    const change = check.passed
+      ? (await new Roll('1D10').roll({ async: true })).total
+      : -1
+    const notes = []
+    if (check.isFumble) {
+      await actor.setCoreConnection(null)
+      notes.push(
+        game.i18n.format('CoC7.CoreConnectionBroken', {
+          connection: connection.title
+        })
+      )
+    }
+    return await CoC7SanityRecovery.conclude(actor, {
+      activity: 'selfHelp',
+      check: check,
+      change: change,
+      disorderId: disorderId,
+      notes: notes
+    })
+  }
+
+  static async startTreatment (actor, options) {
+    const activity = options.activity
+    if (!CoC7SanityRecovery.activities[activity]) return false
+    if (
+      activity === 'psychoanalysis' &&
+      !chatHelper.getActorFromKey(options.therapistKey)
+    ) {
+      ui.notifications.warn(game.i18n.localize('CoC7.WarnNoTherapist'))
+      return false
+    }
+    const now = game.time.worldTime
+    await actor.setFlag('CoC7', 'sanityTreatment', {
+      activity: activity,
+      therapistKey: activity === 'psychoanalysis' ? options.therapistKey : null,
+      care:
+        parseInt(options.care) ||
+        CoC7SanityRecovery.careQuality[activity] ||
+        null,
+      disorderId: options.disorderId || null,
+      start: now,
+      next: now + CoC7SanityRecovery.month
+    })
+    await chatHelper.createMessage(
+      game.i18n.localize(CoC7SanityRecovery.activities[activity]),
+      game.i18n.format('CoC7.SanityTreatmentStarted', { actor: actor.name }),
+      { speaker: ChatMessage.getSpeaker({ actor: actor }) }
+    )
+    return true
+  }
+
+  static async stopTreatment (actor) {
+    const session = CoC7SanityRecovery.treatment(actor)
+    if (!session) return false
+    await actor.unsetFlag('CoC7', 'sanityTreatment')
+    await chatHelper.createMessage(
+      game.i18n.localize(CoC7SanityRecovery.activities[session.activity]),
+      game.i18n.format('CoC7.SanityTreatmentStopped', { actor: actor.name }),
+      { speaker: ChatMessage.getSpeaker({ actor: actor }) }
+    )
+    return true
+  }
+
+  /**
+   * One month of treatment. Psychoanalysis rolls the skill of the therapist,
+   * private care and institutionalisation roll the quality of the care.
+   * A success regains 1D3 SAN and ends an indefinite insanity,
+   * a fumble costs 1D6 SAN and ends the treatment.
+   */
+  static async treatmentMonth (actor, session) {
+    let check
+    if (session.activity === 'psychoanalysis') {
+      const therapist = chatHelper.getActorFromKey(session.therapistKey)
+      const skill = therapist?.find(
+        game.i18n.localize('CoC7.PsychoanalysisSkillName')
+      )?.value
+      if (!skill) return await CoC7SanityRecovery.stopTreatment(actor)
+      check = new CoC7Check()
+      check.actor = therapist.actorKey
+      check.skill = skill
+    } else {
+      check = CoC7Check.create({
+        rawValue: session.care,
+        displayName: game.i18n.localize(
+          CoC7SanityRecovery.activities[session.activity]
+        ),
+        actorName: actor.name
+      })
+    }
+    check.denyPush = true
+    check.denyLuck = true
+    await check.roll()
+    await check.toMessage()
+    let change = 0
+    if (check.isFumble) {
+      change = -(await new Roll('1D6').roll({ async: true })).total
+    } else if (check.passed) {
+      change = (await new Roll('1D3').roll({ async: true })).total
+      if (actor.hasConditionStatus(COC7.status.indefInsane)) {
+        await actor.unsetCondition(COC7.status.indefInsane)
+      }
+    }
+    await CoC7SanityRecovery.conclude(actor, {
+      activity: session.activity,
+      check: check,
+      change: change,
+      disorderId: session.disorderId
+    })
+    if (check.isFumble) await CoC7SanityRecovery.stopTreatment(actor)
+    return true
+  }
+
+  /**
+   * Apply the SAN change, an extreme success also heals the phobia or mania treated.
+   */
+  static async conclude (
+    actor,
+    { activity, check, change, disorderId, notes = [] }
+  ) {
+    if (change) {
+      await actor.setSan(actor.san + change, {
+        type: 'other',
+        name: game.i18n.localize(CoC7SanityRecovery.activities[activity])
+      })
+    }
+    const disorder = disorderId ? actor.items.get(disorderId) : null
+    if (disorder && check.successLevel >= CoC7Check.successLevel.extreme) {
+      await actor.deleteEmbeddedDocuments('Item', [disorder.id])
+      notes.push(
+        game.i18n.format('CoC7.SanityRecoveryDisorderHealed', {
+          disorder: disorder.name
+        })
+      )
+      if (CoC7SanityRecovery.treatment(actor)?.disorderId === disorder.id) {
+        await actor.setFlag('CoC7', 'sanityTreatment.disorderId', null)
+      }
+    }
+    let key = 'CoC7.SanityRecoveryNoChange'
+    if (change > 0) key = 'CoC7.SanityRecoveryGain'
+    else if (change < 0) key = 'CoC7.SanityRecoveryLoss'
+    let content = game.i18n.format(key, {
+      actor: actor.name,
+      value: Math.abs(change)
+    })
+    for (const note of notes) content += `<br>${note}`
+    await chatHelper.createMessage(
+      game.i18n.localize(CoC7SanityRecovery.activities[activity]),
+      content,
+      { speaker: ChatMessage.getSpeaker({ actor: actor }) }
+    )
+    return true
+  }
+
+  /**
+   * Roll the monthly treatments, called by the GM when the world time change
+   */
+  static async checkTreatments () {
+    if (!game.user.isGM) return
+    const time = game.time.worldTime
+    const actors = game.actors.contents.concat(
+      (canvas?.tokens?.placeables || [])
+        .filter(token => token.actor && !token.data.actorLink)
+        .map(token => token.actor)
+    )
+    for (const actor of actors) {
+      const session = CoC7SanityRecovery.treatment(actor)
+      if (!session || time < session.next) continue
+      let next = session.next
+      while (time >= next && CoC7SanityRecovery.treatment(actor)) {
+        await CoC7SanityRecovery.treatmentMonth(
+          actor,
+          CoC7SanityRecovery.treatment(actor)
+        )
+        next += CoC7SanityRecovery.month
+      }
+      if (CoC7SanityRecovery.treatment(actor)) {
+        await actor.setFlag('CoC7', 'sanityTreatment.next', next)
+      }
+    }
+  }
+}
@@ -16,6 +16,10 @@ import { CombinedCheckCard } from '../../chat/cards/combined-roll.js'
 import { DamageCard } from '../../chat/cards/damage.js'
 import { CoC7LinkCreationDialog } from '../../apps/link-creation-dialog.js'
 import { TestCard } from '../../chat/cards/test.js'
+import { CoC7Inventory } from '../inventory.js'
+import { CoC7SanityRecovery } from '../sanity-recovery.js'
+import { SanityRecoveryDialog } from '../../apps/sanity-recovery-dialog.js'
+import { CoC7Delusion } from '../delusion.js'
 
 /**
  * Extend the basic ActorSheet with some very simple modifications
@@ -210,6 +214,7 @@ export class CoC7ActorSheet extends ActorSheet {
 
     data.isDead = this.actor.dead
     data.isDying = this.actor.dying
+    data.isInsane = CoC7Delusion.isInsane(this.actor)
 
     if (data.items) {
       for (const item of data.items) {
@@ -311,6 +316,10 @@ export class CoC7ActorSheet extends ActorSheet {
           }
         }
 
+        if (item.type === 'item') {
+          item.isArmor = this.actor.items.get(item._id)?.isArmor
+        }
+
         let list = data.itemsByType[item.type]
         if (!list) {
           list = []
@@ -640,6 +649,15 @@ export class CoC7ActorSheet extends ActorSheet {
         data.data.attribs.san.value / 5
       )
     }
+    data.inventory = CoC7Inventory.getData(this.actor)
+    data.wounds = this.actor.wounds
+    data.history = this.actor.getHistory(this.historyFilter)
+    data.historyFilter = this.historyFilter || {}
+    data.historyAttributes = this.actor.constructor.historyAttributes
+    data.historySources = this.actor.constructor.historySources
+    data.delusions = CoC7Delusion.delusions(this.actor)
+    data.showDelusions =
+      game.user.isGM && (data.isInsane || data.delusions.length > 0)
     data.showInventoryItems = false
     data.showInventoryBooks = false
     data.showInventorySpells = false
@@ -747,6 +765,7 @@ export class CoC7ActorSheet extends ActorSheet {
       }
 
       html.find('.dying-check').click(this.checkForDeath.bind(this))
+      html.find('.reality-check').click(this._onRealityCheck.bind(this))
 
       html.find('.item .item-image').click(event => this._onItemRoll(event))
       html
@@ -760,6 +779,7 @@ export class CoC7ActorSheet extends ActorSheet {
         .find('.reload-weapon')
         .on('contextmenu', event => this._onReloadWeapon(event))
       html.find('.add-ammo').click(this._onAddAmo.bind(this))
+      html.find('.clear-jam').click(event => this._onClearJam(event))
       html.find('.read-only').dblclick(this._toggleReadOnly.bind(this))
       html.on('click', '.weapon-damage', this._onWeaponDamage.bind(this))
 
@@ -823,6 +843,14 @@ export class CoC7ActorSheet extends ActorSheet {
     })
 
     html.find('.item-trade').click(this._onTradeItem.bind(this))
+    html.find('.item-wear').click(this._onWearArmor.bind(this))
+    html.find('.wound-delete').click(this._onDeleteWound.bind(this))
+    html.find('.wound-treat').click(this._onTreatWound.bind(this))
+    html.find('.history-filter').change(this._onHistoryFilter.bind(this))
+    html.find('.history-revert').click(this._onRevertHistory.bind(this))
+    html.find('.add-delusion').click(this._onAddDelusion.bind(this))
+    html.find('.delusion-reveal').click(this._onRevealDelusion.bind(this))
+    html.find('.delusion-delete').click(this._onDeleteDelusion.bind(this))
 
     html.find('.add-new-section').click(() => {
       this.actor.createBioSection()
@@ -835,6 +863,13 @@ export class CoC7ActorSheet extends ActorSheet {
       this.actor.deleteBioSection(index)
     })
 
+    html.find('.core-connection').click(ev => {
+      const index = parseInt(
+        ev.currentTarget.closest('.bio-section').dataset.index
+      )
+      this.actor.setCoreConnection(index)
+    })
+
     html.find('.move-section-up').click(ev => {
       const index = parseInt(
         ev.currentTarget.closest('.bio-section').dataset.index
@@ -874,6 +909,8 @@ export class CoC7ActorSheet extends ActorSheet {
       this.actor.developementPhase(event.shiftKey)
     })
 
+    html.find('.sanity-recovery').click(this._onSanityRecovery.bind(this))
+
     html.find('.luck-development').click(event => {
       if (!event.detail || event.detail === 1) {
         this.actor.developLuck(event.shiftKey)
@@ -1175,6 +1212,114 @@ export class CoC7ActorSheet extends ActorSheet {
     item.sheet.render(true)
   }
 
+  async _onWearArmor (event) {
+    event.preventDefault()
+    const itemId = event.currentTarget.closest('.item')?.dataset.itemId
+    const item = this.actor.items.get(itemId)
+    if (!item?.isArmor) return
+    await item.update({ 'data.armor.worn': !item.data.data.armor.worn })
+  }
+
+  async _onDeleteWound (event) {
+    event.preventDefault()
+    const woundId = event.currentTarget.closest('.wound')?.dataset.woundId
+    if (woundId) await this.actor.removeWound(woundId)
+  }
+
+  async _onSanityRecovery (event) {
+    event.preventDefault()
+    const formData = await SanityRecoveryDialog.create(this.actor)
+    if (!formData) return
+    await CoC7SanityRecovery.start(this.actor, {
+      activity: formData.get('activity'),
+      therapistKey: formData.get('therapist'),
+      care: formData.get('care'),
+      disorderId: formData.get('disorder')
+    })
+  }
+
+  async _onTreatWound (event) {
+    event.preventDefault()
+    const woundId = event.currentTarget.closest('.wound')?.dataset.woundId
+    const treatment = event.currentTarget.dataset.treatment
+    if (woundId) await this.actor.treatWound(woundId, treatment)
+  }
+
+  _onHistoryFilter (event) {
+    event.stopPropagation()
+    this.historyFilter = {
+      ...this.historyFilter,
+      [event.currentTarget.dataset.filter]: event.currentTarget.value
+    }
+    this.render(false)
+  }
+
+  async _onRevertHistory (event) {
+    event.preventDefault()
+    const entryId = event.currentTarget.closest('.history-entry')?.dataset
+      .entryId
+    if (entryId) await this.actor.revertHistory(entryId)
+  }
+
+  async _onRealityCheck (event) {
+    event.preventDefault()
+    await CoC7Delusion.realityCheck(this.actor)
+  }
+
+  async _onAddDelusion (event) {
+    event.preventDefault()
+    const content = `<form>
+      <div class="form-group">
+        <label>${game.i18n.localize('CoC7.DelusionText')}</label>
+        <textarea name="text"></textarea>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize('CoC7.DelusionTruth')}</label>
+        <textarea name="truth"></textarea>
+      </div>
+    </form>`
+    const delusion = await new Promise(resolve => {
+      new Dialog({
+        title: game.i18n.localize('CoC7.AddDelusion'),
+        content: content,
+        buttons: {
+          whisper: {
+            icon: '<i class="fas fa-user-secret"></i>',
+            label: game.i18n.localize('CoC7.WhisperDelusion'),
+            callback: html =>
+              resolve({
+                text: html.find('[name="text"]').val(),
+                truth: html.find('[name="truth"]').val()
+              })
+          }
+        },
+        default: 'whisper',
+        close: () => resolve(null)
+      }).render(true)
+    })
+    if (delusion?.text.trim()) {
+      await CoC7Delusion.create(
+        this.actor,
+        delusion.text.trim(),
+        delusion.truth.trim()
+      )
+    }
+  }
+
+  async _onRevealDelusion (event) {
+    event.preventDefault()
+    const delusionId = event.currentTarget.closest('.delusion')?.dataset
+      .delusionId
+    if (delusionId) await CoC7Delusion.reveal(this.actor, delusionId)
+  }
+
+  async _onDeleteDelusion (event) {
+    event.preventDefault()
+    const delusionId = event.currentTarget.closest('.delusion')?.dataset
+      .delusionId
+    if (delusionId) await CoC7Delusion.delete(this.actor, delusionId)
+  }
+
   async _onTradeItem (event) {
     const li = $(event.currentTarget).parents('.item')
     const item = this.actor.items.get(li.data('itemId'))
@@ -1183,7 +1328,8 @@ export class CoC7ActorSheet extends ActorSheet {
       actorFrom: this.actor.id,
       scene: null,
       actorTo: this.actor.id,
-      item: item.id
+      item: item.id,
+      user: game.user.id
     }
     if (this.token?.actor) {
       message.actorFrom = this.token.id
@@ -1290,6 +1436,11 @@ export class CoC7ActorSheet extends ActorSheet {
     await super._onDrop(event)
   }
 
+  async _onDropItem (event, data) {
+    if (await CoC7Inventory.onDropItem(this.actor, data)) return false
+    return super._onDropItem(event, data)
+  }
+
   async _onConditionToggle (event) {
     event.preventDefault()
     if (event.currentTarget.dataset.condition) {
@@ -1381,21 +1532,22 @@ export class CoC7ActorSheet extends ActorSheet {
       value = value + 1
     }
 
+    const source = { type: 'manual' }
     switch (event.currentTarget.name) {
       case 'data.attribs.hp.value':
-        this.actor.setHp(value)
+        this.actor.setHp(value, source)
         break
       case 'data.attribs.mp.value':
-        this.actor.setMp(value)
+        this.actor.setMp(value, source)
         break
       case 'data.attribs.san.value':
-        this.actor.setSan(value)
+        this.actor.setSan(value, source)
         break
       case 'data.attribs.lck.value':
-        this.actor.setLuck(value)
+        this.actor.setLuck(value, source)
         break
       case 'data.attribs.build.current':
-        this.actor.setHp(value)
+        this.actor.setHp(value, source)
         break
     }
   }
@@ -1613,11 +1765,35 @@ export class CoC7ActorSheet extends ActorSheet {
       if (event.shiftKey) await weapon.reload()
       else await weapon.addBullet()
     } else if (event.button === 2) {
-      if (event.shiftKey) await weapon.setBullets(0)
+      if (event.shiftKey) await weapon.unload()
       else await weapon.shootBullets(1)
     }
   }
 
+  async _onClearJam (event) {
+    event.preventDefault()
+    const itemId = event.currentTarget.closest('.item')?.dataset.itemId
+    const weapon = this.actor.items.get(itemId)
+    if (!weapon?.jammed) return
+    new Dialog({
+      title: game.i18n.localize('CoC7.ClearJam'),
+      content: `<p>${game.i18n.format('CoC7.ClearJamHint', {
+        weapon: weapon.name
+      })}</p>`,
+      buttons: {
+        time: {
+          label: game.i18n.localize('CoC7.ClearJamTime'),
+          callback: () => weapon.clearJam('time')
+        },
+        repair: {
+          label: game.i18n.localize('CoC7.MechanicalRepairSkillName'),
+          callback: () => weapon.clearJam('repair')
+        }
+      },
+      default: 'time'
+    }).render(true)
+  }
+
   async _onAddAmo (event) {
     const itemId = event.currentTarget.closest('.item')
       ? event.currentTarget.closest('.item').dataset.itemId
@@ -2075,7 +2251,9 @@ export class CoC7ActorSheet extends ActorSheet {
         if (event.currentTarget.classList.contains('attribute-value')) {
           // TODO : check why SAN only ?
           if (event.currentTarget.name === 'data.attribs.san.value') {
-            this.actor.setSan(parseInt(event.currentTarget.value))
+            this.actor.setSan(parseInt(event.currentTarget.value), {
+              type: 'manual'
+            })
             return
           }
         }
@@ -2255,6 +2433,6 @@ export class CoC7ActorSheet extends ActorSheet {
         }
       }
     }
-    return this.object.update(formData)
+    return this.object.update(formData, { historySource: { type: 'manual' } })
   }
 }
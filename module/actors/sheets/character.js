@@ -126,11 +126,13 @@ export class CoC7CharacterSheetV2 extends CoC7ActorSheet {
           : '$'
       }
 
+      // Cash and assets left after purchases.
+      const credits = this.actor.credits
       data.credit.spendingLevel = `${monetarySymbol}${
         this.actor.spendingLevel * factor
       }`
-      data.credit.assets = `${monetarySymbol}${this.actor.assets * factor}`
-      data.credit.cash = `${monetarySymbol}${this.actor.cash * factor}`
+      data.credit.assets = `${monetarySymbol}${credits.assets}`
+      data.credit.cash = `${monetarySymbol}${credits.cash}`
     }
 
     data.oneBlockBackStory = game.settings.get('CoC7', 'oneBlockBackstory')
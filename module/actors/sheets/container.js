@@ -1,5 +1,6 @@
-/* global $, ActorSheet, CONST, Dialog, FormData, game, mergeObject */
+/* global $, ActorSheet, canvas, CONST, Dialog, FormData, game, mergeObject, ui */
 import { CoC7Parser } from '../../apps/parser.js'
+import { CoC7Inventory } from '../inventory.js'
 export class CoC7ContainerSheet extends ActorSheet {
   /**
    * Extend and override the default options used by the 5e Actor Sheet
@@ -35,6 +36,11 @@ export class CoC7ContainerSheet extends ActorSheet {
     }
   }
 
+  async _onDropItem (event, data) {
+    if (await CoC7Inventory.onDropItem(this.actor, data)) return false
+    return super._onDropItem(event, data)
+  }
+
   onCloseSheet () {}
 
   async getData () {
@@ -83,6 +89,17 @@ export class CoC7ContainerSheet extends ActorSheet {
       Object.prototype.hasOwnProperty.call(sheetData.itemsByType, 'weapon') ||
       !sheetData.data.flags.locked
 
+    sheetData.isShop = !!sheetData.data.shop
+    if (sheetData.isShop) {
+      for (const item of data.items) {
+        const price = CoC7Inventory.price(this.actor.items.get(item._id))
+        item.price = price ? `${this.actor.monetarySymbol}${price}` : '-'
+      }
+    }
+
+    sheetData.inventory = CoC7Inventory.getData(this.actor)
+    sheetData.log = [...(sheetData.data.log || [])].reverse()
+
     sheetData.hasInventory =
       sheetData.showInventoryItems ||
       sheetData.showInventoryBooks ||
@@ -105,6 +122,7 @@ export class CoC7ContainerSheet extends ActorSheet {
     html.find('.inventory-header').click(this._onInventoryHeader.bind(this))
 
     html.find('.item-trade').click(this._onTradeItem.bind(this))
+    html.find('.item-buy').click(this._onBuyItem.bind(this))
     html.find('.show-detail').click(this._onItemSummary.bind(this))
 
     html.find('.item-delete').click(async ev => {
@@ -145,6 +163,17 @@ export class CoC7ContainerSheet extends ActorSheet {
     this.actor.locked = !isLocked
   }
 
+  async _onBuyItem (event) {
+    const li = $(event.currentTarget).parents('.item')
+    const item = this.actor.items.get(li.data('itemId'))
+    const buyer = game.user.character || canvas.tokens.controlled[0]?.actor
+    if (!buyer || buyer.id === this.actor.id) {
+      ui.notifications.warn(game.i18n.localize('CoC7.WarnNoBuyer'))
+      return
+    }
+    await CoC7Inventory.purchase(this.actor, item, buyer)
+  }
+
   async _onTradeItem (event) {
     const li = $(event.currentTarget).parents('.item')
     const item = this.actor.items.get(li.data('itemId'))
@@ -153,7 +182,8 @@ export class CoC7ContainerSheet extends ActorSheet {
       actorFrom: this.actor.id,
       scene: null,
       actorTo: this.actor.id,
-      item: item.id
+      item: item.id,
+      user: game.user.id
     }
     if (this.token?.actor) {
       message.actorFrom = this.token.id
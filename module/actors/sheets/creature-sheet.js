@@ -1,5 +1,6 @@
 /* global mergeObject */
 import { CoC7NPCSheet } from './npc-sheet.js'
+import { CoC7AttackProfile } from '../attack-profile.js'
 
 /**
  * Extend the basic ActorSheet with some very simple modifications
@@ -12,9 +13,57 @@ export class CoC7CreatureSheet extends CoC7NPCSheet {
   async getData () {
     const data = await super.getData()
     data.isCreature = true
+    data.attackProfiles = CoC7AttackProfile.getData(this.actor)
+    data.attackWeapons = CoC7AttackProfile.weapons(this.actor)
+    data.attackEffects = CoC7AttackProfile.effects
     return data
   }
 
+  activateListeners (html) {
+    super.activateListeners(html)
+    if (!this.isEditable) return
+    html.find('.add-attack-profile').click(event => {
+      event.preventDefault()
+      event.stopPropagation()
+      CoC7AttackProfile.addProfile(this.actor)
+    })
+    html.find('.delete-attack-profile').click(event => {
+      const index = event.currentTarget.closest('.attack-profile').dataset.index
+      CoC7AttackProfile.deleteProfile(this.actor, parseInt(index))
+    })
+    html.find('.add-profile-attack').click(event => {
+      const index = event.currentTarget.closest('.attack-profile').dataset.index
+      CoC7AttackProfile.addAttack(this.actor, parseInt(index))
+    })
+    html.find('.delete-profile-attack').click(event => {
+      const index = event.currentTarget.closest('.attack-profile').dataset.index
+      const attack = event.currentTarget.closest('.profile-attack')
+      CoC7AttackProfile.deleteAttack(
+        this.actor,
+        parseInt(index),
+        parseInt(attack.dataset.attackIndex)
+      )
+    })
+  }
+
+  async _updateObject (event, formData) {
+    const input = event.currentTarget
+    if (input?.classList?.contains('attack-profile-field')) {
+      const index = parseInt(input.closest('.attack-profile').dataset.index)
+      const value =
+        input.dataset.dtype === 'Number'
+          ? parseInt(input.value) || 0
+          : input.value
+      return await CoC7AttackProfile.updateField(
+        this.actor,
+        index,
+        input.dataset.field,
+        value
+      )
+    }
+    return await super._updateObject(event, formData)
+  }
+
   /**
    * Extend and override the default options used by the Actor Sheet
    * @returns {Object}
@@ -1,5 +1,6 @@
-/* global duplicate, expandObject, flattenObject, FormDataExtended, game, mergeObject, ui */
+/* global Dialog, duplicate, expandObject, flattenObject, FormDataExtended, game, mergeObject, ui */
 
+import { COC7 } from '../../config.js'
 import { CoC7ActorSheet } from './base.js'
 
 export class CoC7VehicleSheet extends CoC7ActorSheet {
@@ -33,6 +34,17 @@ export class CoC7VehicleSheet extends CoC7ActorSheet {
     }
     data.actor = this.actor
 
+    data.crew = this.actor.crew.map(member => {
+      return {
+        actorKey: member.actorKey,
+        role: member.role,
+        name: member.actor.name,
+        img: member.actor.img
+      }
+    })
+    data.crewRoles = COC7.vehicleCrewRoles
+    data.drivingSkillName = this.actor.drivingSkillName
+
     const expanded = this.actor.getFlag('CoC7', 'expanded')
     if (undefined === expanded) data.expanded = true
     else data.expanded = expanded
@@ -53,6 +65,20 @@ export class CoC7VehicleSheet extends CoC7ActorSheet {
       .find('.remove-armor')
       .click(async event => await this._onRemoveArmor(event))
     html.find('.expand-button').click(this._onToggleExpand.bind(this))
+    html.find('.crew-role').change(async event => {
+      const actorKey = event.currentTarget.closest('.crew-member').dataset
+        .actorKey
+      await this.actor.setCrewRole(actorKey, event.currentTarget.value)
+    })
+    html.find('.remove-crew').click(async event => {
+      const actorKey = event.currentTarget.closest('.crew-member').dataset
+        .actorKey
+      await this.actor.removeCrewMember(actorKey)
+    })
+    html
+      .find('.driving-check')
+      .click(async () => await this.actor.drivingCheck())
+    html.find('.vehicle-incident').click(this._onVehicleIncident.bind(this))
     // Everything below here is only needed if the sheet is editable
     // if (!this.options.editable) return;
     // html.on('drop', (event) => this._onDrop(event));
@@ -71,6 +97,37 @@ export class CoC7VehicleSheet extends CoC7ActorSheet {
     await this.actor.setFlag('CoC7', 'expanded', !expanded)
   }
 
+  /**
+   * Actors dropped on the crew tab join the crew as passengers.
+   */
+  async _onDropActor (event, data) {
+    if (!this.actor.isOwner) return false
+    if (data.pack) return false
+    const actor = data.tokenId
+      ? game.actors.tokens[data.tokenId]
+      : game.actors.get(data.id)
+    if (!actor || actor.data.type === 'vehicle') return false
+    await this.actor.addCrewMember(actor.actorKey)
+  }
+
+  _onVehicleIncident () {
+    if (!game.user.isGM) return
+    const buttons = {}
+    for (const [key, incident] of Object.entries(COC7.vehicleIncidents)) {
+      buttons[key] = {
+        label: game.i18n.localize(incident.label),
+        callback: async () => await this.actor.crash(key)
+      }
+    }
+    new Dialog({
+      title: game.i18n.format('CoC7.VehicleIncidentTitle', {
+        vehicle: this.actor.name
+      }),
+      content: `<p>${game.i18n.localize('CoC7.VehicleIncidentHint')}</p>`,
+      buttons: buttons
+    }).render(true)
+  }
+
   async _onAddArmor () {
     const locations = duplicate(
       this.actor.data.data.attribs.armor.locations || []
@@ -0,0 +1,38 @@
+/* global Dialog, FormData, game, renderTemplate */
+
+export class ChaseConflictDialog {
+  static async create (attacker, opponents, weapons) {
+    const html = await renderTemplate(
+      'systems/CoC7/templates/apps/chase-conflict.html',
+      {
+        opponents: opponents,
+        weapons: weapons
+      }
+    )
+    return new Promise(resolve => {
+      let formData = null
+      const dlg = new Dialog({
+        title: game.i18n.format('CoC7.ChaseConflictTitle', {
+          name: attacker.name
+        }),
+        content: html,
+        buttons: {
+          validate: {
+            label: game.i18n.localize('CoC7.Validate'),
+            callback: html => {
+              formData = new FormData(
+                html[0].querySelector('#chase-conflict-form')
+              )
+              return resolve(formData)
+            }
+          }
+        },
+        default: 'validate',
+        close: () => {
+          return resolve(false)
+        }
+      })
+      dlg.render(true)
+    })
+  }
+}
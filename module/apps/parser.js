@@ -12,6 +12,7 @@
  * sanloss:
  *   sanMax: max SAN loss
  *   sanMin: min SAN loss
+ *   [trigger]: what causes the loss, matched against the triggers of phobias and manias (several separated by ;).
  * check:
  *   type: type of check (characteristic, skill, attrib).
  *   name: name of the skill/characteristic.
@@ -0,0 +1,47 @@
+/* global Dialog, FormData, game, renderTemplate */
+
+import { CoC7SanityRecovery } from '../actors/sanity-recovery.js'
+
+export class SanityRecoveryDialog {
+  static async create (actor) {
+    const treatment = CoC7SanityRecovery.treatment(actor)
+    const html = await renderTemplate(
+      'systems/CoC7/templates/apps/sanity-recovery.html',
+      {
+        activities: CoC7SanityRecovery.activities,
+        careQuality: CoC7SanityRecovery.careQuality,
+        coreConnection: CoC7SanityRecovery.coreConnection(actor),
+        therapists: CoC7SanityRecovery.therapists(actor).map(therapist => {
+          return { key: therapist.actorKey, name: therapist.name }
+        }),
+        disorders: CoC7SanityRecovery.disorders(actor),
+        treatment: treatment
+          ? CoC7SanityRecovery.activities[treatment.activity]
+          : null
+      }
+    )
+    return new Promise(resolve => {
+      const dlg = new Dialog({
+        title: game.i18n.format('CoC7.SanityRecoveryTitle', {
+          name: actor.name
+        }),
+        content: html,
+        buttons: {
+          validate: {
+            label: game.i18n.localize('CoC7.Validate'),
+            callback: html => {
+              return resolve(
+                new FormData(html[0].querySelector('#sanity-recovery-form'))
+              )
+            }
+          }
+        },
+        default: 'validate',
+        close: () => {
+          return resolve(false)
+        }
+      })
+      dlg.render(true)
+    })
+  }
+}
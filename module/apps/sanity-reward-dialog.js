@@ -0,0 +1,212 @@
+/* global canvas, duplicate, expandObject, FormApplication, game, mergeObject, Roll, ui */
+import { chatHelper } from '../chat/helper.js'
+
+/**
+ * Keeper tool awarding SAN for defeated threats and scenario conclusions.
+ * Reward lists are saved by scenario in the sanityRewards world setting.
+ */
+export class CoC7SanityRewardDialog extends FormApplication {
+  constructor (object = {}, options = {}) {
+    super(object, options)
+    this.scenario = ''
+    this.rewards = []
+    this.selectedActors = CoC7SanityRewardDialog.defaultInvestigators().map(
+      actor => actor.id
+    )
+  }
+
+  /** @override */
+  static get defaultOptions () {
+    return mergeObject(super.defaultOptions, {
+      id: 'sanity-reward',
+      classes: ['coc7', 'dialog', 'sanity-reward'],
+      title: game.i18n.localize('CoC7.SanityRewards'),
+      template: 'systems/CoC7/templates/apps/sanity-reward.html',
+      closeOnSubmit: false,
+      submitOnClose: false,
+      submitOnChange: true,
+      width: 480,
+      height: 'auto'
+    })
+  }
+
+  /**
+   * Saved reward lists, label and formula of each reward by scenario name.
+   */
+  static get scenarios () {
+    return game.settings.get('CoC7', 'sanityRewards') || {}
+  }
+
+  static investigators () {
+    return game.actors.filter(actor => actor.type === 'character')
+  }
+
+  /**
+   * Investigators of the players and of the controlled tokens.
+   */
+  static defaultInvestigators () {
+    const controlled = (canvas?.tokens?.controlled || []).map(
+      token => token.actor?.id
+    )
+    return CoC7SanityRewardDialog.investigators().filter(
+      actor => actor.hasPlayerOwner || controlled.includes(actor.id)
+    )
+  }
+
+  /** @override */
+  async getData () {
+    const data = await super.getData()
+    data.scenario = this.scenario
+    data.scenarios = Object.keys(CoC7SanityRewardDialog.scenarios).sort()
+    data.saved = data.scenarios.includes(this.scenario)
+    data.rewards = this.rewards
+    data.investigators = CoC7SanityRewardDialog.investigators().map(actor => {
+      return {
+        id: actor.id,
+        name: actor.name,
+        san: actor.san,
+        sanMax: actor.sanMax,
+        selected: this.selectedActors.includes(actor.id)
+      }
+    })
+    return data
+  }
+
+  /** @override */
+  activateListeners (html) {
+    super.activateListeners(html)
+    html.find('.add-reward').click(() => {
+      this.rewards.push({ label: '', formula: '', selected: true })
+      this.render(true)
+    })
+    html.find('.delete-reward').click(event => {
+      const index = parseInt(
+        event.currentTarget.closest('.reward').dataset.index
+      )
+      this.rewards.splice(index, 1)
+      this.render(true)
+    })
+    html.find('.save-rewards').click(async () => await this.save())
+    html.find('.delete-rewards').click(async () => await this.deleteScenario())
+    html.find('.award-rewards').click(async () => await this.award())
+  }
+
+  /** @override */
+  async _updateObject (event, formData) {
+    const data = expandObject(formData)
+    if (event.currentTarget?.name === 'load') {
+      this.load(data.load)
+    } else {
+      this.scenario = data.scenario?.trim() || ''
+      this.rewards = Object.values(data.rewards || {}).map(reward => {
+        return {
+          label: reward.label,
+          formula: reward.formula,
+          selected: !!reward.selected
+        }
+      })
+      this.selectedActors = Object.entries(data.actors || {})
+        .filter(([, selected]) => selected)
+        .map(([id]) => id)
+    }
+    this.render(true)
+  }
+
+  load (scenario) {
+    if (!scenario) return
+    this.scenario = scenario
+    this.rewards = (CoC7SanityRewardDialog.scenarios[scenario] || []).map(
+      reward => {
+        return { ...reward, selected: false }
+      }
+    )
+  }
+
+  async save () {
+    if (!this.scenario) {
+      ui.notifications.warn(game.i18n.localize('CoC7.WarnNoScenarioName'))
+      return
+    }
+    const scenarios = duplicate(CoC7SanityRewardDialog.scenarios)
+    scenarios[this.scenario] = this.rewards.map(reward => {
+      return { label: reward.label, formula: reward.formula }
+    })
+    await game.settings.set('CoC7', 'sanityRewards', scenarios)
+    ui.notifications.info(
+      game.i18n.format('CoC7.SanityRewardsSaved', { scenario: this.scenario })
+    )
+    this.render(true)
+  }
+
+  async deleteScenario () {
+    const scenarios = duplicate(CoC7SanityRewardDialog.scenarios)
+    if (!scenarios[this.scenario]) return
+    delete scenarios[this.scenario]
+    await game.settings.set('CoC7', 'sanityRewards', scenarios)
+    this.scenario = ''
+    this.rewards = []
+    this.render(true)
+  }
+
+  async award () {
+    const actors = CoC7SanityRewardDialog.investigators().filter(actor =>
+      this.selectedActors.includes(actor.id)
+    )
+    const rewards = this.rewards.filter(
+      reward =>
+        reward.selected && reward.formula && Roll.validate(reward.formula)
+    )
+    if (!actors.length || !rewards.length) {
+      ui.notifications.warn(game.i18n.localize('CoC7.WarnNoSanityReward'))
+      return
+    }
+    await CoC7SanityRewardDialog.award(actors, rewards, this.scenario)
+    for (const reward of this.rewards) reward.selected = false
+    this.render(true)
+  }
+
+  /**
+   * Roll the rewards for each investigator and post a summary.
+   * The SAN gained cannot take an investigator above 99 minus Cthulhu Mythos.
+   * @param {Array} actors investigators rewarded.
+   * @param {Array} rewards label and formula of each reward.
+   * @param {String} scenario name used as the title of the summary.
+   */
+  static async award (actors, rewards, scenario = '') {
+    let content = '<ul class="sanity-rewards">'
+    for (const actor of actors) {
+      const rolls = []
+      let total = 0
+      for (const reward of rewards) {
+        const roll = await new Roll(reward.formula).roll({ async: true })
+        rolls.push(`${reward.label || reward.formula} (${roll.total})`)
+        total += roll.total
+      }
+      const before = actor.san
+      await actor.setSan(before + total, {
+        type: 'other',
+        name: scenario || game.i18n.localize('CoC7.SanityRewards')
+      })
+      const gained = actor.san - before
+      content += `<li><b>${actor.name}</b> : ${rolls.join(', ')}<br>`
+      content += game.i18n.format('CoC7.SanityRewardGained', {
+        value: gained,
+        san: actor.san,
+        sanMax: actor.sanMax
+      })
+      if (gained < total) {
+        content += ` ${game.i18n.localize('CoC7.SanityRewardCapped')}`
+      }
+      content += '</li>'
+    }
+    content += '</ul>'
+    await chatHelper.createMessage(
+      scenario || game.i18n.localize('CoC7.SanityRewards'),
+      content
+    )
+  }
+
+  static create () {
+    new CoC7SanityRewardDialog().render(true)
+  }
+}
@@ -16,6 +16,8 @@ import { CombinedCheckCard } from './chat/cards/combined-roll.js'
 import { InteractiveChatCard } from './chat/interactive-chat-card.js'
 import { DamageCard } from './chat/cards/damage.js'
 import { CoC7Dice } from './dice.js'
+import { CoC7AttackProfile } from './actors/attack-profile.js'
+import { CoC7Delusion } from './actors/delusion.js'
 
 const CHAT_COC7_MESSAGE = {
   FAKEROLL:
@@ -912,6 +914,24 @@ export class CoC7Chat {
         break
       }
 
+      case 'melee-initiator-profile': {
+        const initiator = CoC7MeleeInitiator.getFromCard(card)
+        $(button).prop('disabled', true)
+        await initiator.rollProfile(button.dataset.profile)
+        break
+      }
+
+      case 'apply-attack-effect': {
+        $(button).prop('disabled', true)
+        await CoC7AttackProfile.applyEffect(
+          button.dataset.dealer,
+          button.dataset.target,
+          button.dataset.effect,
+          button.dataset.effectValue
+        )
+        break
+      }
+
       case 'melee-target-no-response': {
         const target = CoC7MeleeTarget.getFromCard(card)
         await target.publishNoReponseResult()
@@ -936,6 +956,9 @@ export class CoC7Chat {
         damageChatCard.actorKey = button.dataset.dealer
         damageChatCard.targetKey = button.dataset.target
         damageChatCard.itemId = button.dataset.weapon
+        if (button.dataset.location) {
+          damageChatCard.location = button.dataset.location
+        }
         if (originMessage.dataset.messageId) {
           damageChatCard.messageId = originMessage.dataset.messageId
         }
@@ -963,6 +986,12 @@ export class CoC7Chat {
         await rangeInitiator.updateChatCard()
         break
       }
+      case 'range-initiator-remove-shot': {
+        const rangeInitiator = CoC7RangeInitiator.getFromCard(card)
+        rangeInitiator.removeShot(parseInt(button.dataset.shotIndex))
+        await rangeInitiator.updateChatCard()
+        break
+      }
       case 'range-initiator-roll': {
         const rangeInitiator = CoC7RangeInitiator.getFromCard(card)
         await rangeInitiator.resolveCard()
@@ -1128,6 +1157,12 @@ export class CoC7Chat {
         break
       }
 
+      case 'reveal-delusion': {
+        const actor = CoC7Chat._getChatCardActor(card)
+        if (actor && game.user.isGM) await CoC7Delusion.revealDialog(actor)
+        break
+      }
+
       default:
         break
     }
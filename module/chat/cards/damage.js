@@ -3,6 +3,7 @@
 import { CoC7Dice } from '../../dice.js'
 import { InteractiveChatCard } from '../interactive-chat-card.js'
 import { createInlineRoll } from '../helper.js'
+import { CoC7HitLocation } from '../combat/hit-location.js'
 
 export class DamageCard extends InteractiveChatCard {
   /**
@@ -138,6 +139,28 @@ export class DamageCard extends InteractiveChatCard {
     if (options.update) this.updateChatCard()
   }
 
+  get hitLocations () {
+    return CoC7HitLocation.enabled
+  }
+
+  get locationLabel () {
+    return CoC7HitLocation.label(this.location)
+  }
+
+  async rollLocation (options = { update: true }) {
+    this.location = await CoC7HitLocation.roll()
+    options.update =
+      typeof options.update === 'undefined' ? true : options.update
+    if (options.update) this.updateChatCard()
+  }
+
+  async nextLocation (options = { update: true }) {
+    this.location = CoC7HitLocation.next(this.location)
+    options.update =
+      typeof options.update === 'undefined' ? true : options.update
+    if (options.update) this.updateChatCard()
+  }
+
   async rollArmor (options = { update: true }) {
     const roll = await new Roll(this.armor).evaluate({ async: true })
     this.armor = roll.total
@@ -194,7 +217,12 @@ export class DamageCard extends InteractiveChatCard {
   async confirmDamage (targets) {
     for (let index = 0; index < targets.length; index++) {
       await targets[index].dealDamage(Number(this.totalDamageString), {
-        ignoreArmor: false
+        ignoreArmor: false,
+        damageType: this.weapon?.damageType,
+        impaled: this.critical && this.impale,
+        location: this.location,
+        source: this.weapon?.name,
+        sourceType: 'weapon'
       })
       ChatMessage.create({
         content: `Damage ${targets[index].name} ${this.totalDamageString}HP`
@@ -203,6 +231,9 @@ export class DamageCard extends InteractiveChatCard {
   }
 
   async dealDamage (options = { update: true }) {
+    if (this.hitLocations && !this.location) {
+      await this.rollLocation({ update: false })
+    }
     if (this.isArmorForula) await this.rollArmor()
     let damage = this.totalDamageString
     if (isNaN(Number(damage))) {
@@ -215,7 +246,10 @@ export class DamageCard extends InteractiveChatCard {
     }
     if (this.targetActor) {
       await this.targetActor.dealDamage(Number(damage), {
-        ignoreArmor: true
+        ignoreArmor: true,
+        location: this.location,
+        source: this.weapon?.name,
+        sourceType: 'weapon'
       })
     }
     this.damageInflicted = true
@@ -267,11 +301,30 @@ export class DamageCard extends InteractiveChatCard {
   get armor () {
     if (undefined !== this._armor && this._armor !== '') return this._armor
     if (this.target) {
-      return this.targetActor.data.data.attribs.armor.value
+      return (
+        this.targetActor.armorProtection(
+          this.weapon?.damageType,
+          this.critical && this.impale,
+          this.location
+        ).formula || this.targetActor.data.data.attribs.armor.value
+      )
     }
     return 0
   }
 
+  /**
+   * Names of the worn armor pieces an impaling hit goes through.
+   */
+  get armorBypassed () {
+    if (!this.target || !this.critical || !this.impale) return null
+    const bypassed = this.targetActor.armorProtection(
+      this.weapon?.damageType,
+      true,
+      this.location
+    ).bypassed
+    return bypassed.length ? bypassed.join(', ') : null
+  }
+
   set armor (x) {
     this._armor = x
   }
@@ -73,6 +73,30 @@ export class SanCheckCard extends ChatCardActor {
     return this.__creature
   }
 
+  /**
+   * What can set off the phobias and manias of the actor: the creature, its type and its specie,
+   * and the trigger option of the check, several triggers being separated by ;.
+   */
+  get triggerKeywords () {
+    const keywords = String(this.sanData.trigger || '')
+      .split(';')
+      .map(keyword => keyword.trim())
+    if (this.creature) {
+      const creatureSanData = CoC7Utilities.getCreatureSanData(this.creature)
+      keywords.push(
+        this.creature.name,
+        this.creature.data.data.infos?.type,
+        creatureSanData?.name,
+        creatureSanData?.specie?.name
+      )
+    }
+    return keywords.filter(keyword => keyword)
+  }
+
+  get triggeredPhobia () {
+    return (this.triggeredStatuses || []).some(status => status.phobia)
+  }
+
   get involuntaryAction () {
     if (
       this.state.sanRolled &&
@@ -245,6 +269,28 @@ export class SanCheckCard extends ChatCardActor {
         break
       }
 
+      case 'triggerBout': {
+        this.triggerBoutDuration = (
+          await new Roll('1D10').roll({ async: true })
+        ).total
+        await this.actor.setCondition(COC7.status.tempoInsane, {
+          realTime: true,
+          duration: this.triggerBoutDuration
+        })
+        this.state.triggerBout = true
+        break
+      }
+      case 'triggerPenalty': {
+        this.options.sanModifier = (this.options.sanModifier || 0) - 1
+        this.options.intModifier = (this.options.intModifier || 0) - 1
+        this.state.triggerPenalty = true
+        break
+      }
+      case 'triggerFlight': {
+        this.state.triggerFlight = true
+        break
+      }
+
       case 'noMythosGained': {
         this.state.cthulhuMythosAwarded = true
         this.mythosGain = 0
@@ -364,7 +410,7 @@ export class SanCheckCard extends ChatCardActor {
     if (this.creature) {
       await this.actor.looseSanToCreature(this.sanLoss, this.creature)
     } else {
-      await this.actor.looseSan(this.sanLoss)
+      await this.actor.looseSan(this.sanLoss, null, this.sanData.source)
     }
 
     if (this.sanLoss > 0) this.state.actorLostSan = true
@@ -382,7 +428,7 @@ export class SanCheckCard extends ChatCardActor {
 
     if (this.sanLoss < 5) {
       this.state.intRolled = true
-      if (this.actor.isIndefInsane) {
+      if (this.actor.hasIndefInsane) {
         this.state.insanity = true
         this.state.shaken = true
         this.state.insanityTableRolled = false
@@ -518,7 +564,7 @@ export class SanCheckCard extends ChatCardActor {
   static async create (...args) {
     const chatCard = new SanCheckCard(...args)
 
-    if (chatCard.actor.isIndefInsane) {
+    if (chatCard.actor.hasIndefInsane) {
       chatCard.state.alreadyInsane = true
     }
 
@@ -536,6 +582,17 @@ export class SanCheckCard extends ChatCardActor {
       chatCard.state.keepCreatureSanData = true
     }
 
+    chatCard.triggeredStatuses = chatCard.actor
+      .triggeredStatuses(chatCard.triggerKeywords)
+      .map(item => {
+        return {
+          id: item.id,
+          name: item.name,
+          phobia: !!item.data.data.type.phobia,
+          mania: !!item.data.data.type.mania
+        }
+      })
+
     const html = await renderTemplate(SanCheckCard.template, chatCard)
     const htmlCardElement = $.parseHTML(html)[0]
 
@@ -0,0 +1,56 @@
+/* global game, Roll */
+
+import { COC7 } from '../../config.js'
+import { CoC7Dice } from '../../dice.js'
+
+/**
+ * Optional hit location rule, each hit strikes a location rolled on 1D20
+ * or the one aimed at with a called shot.
+ */
+export class CoC7HitLocation {
+  static get enabled () {
+    return game.settings.get('CoC7', 'hitLocations')
+  }
+
+  static label (location) {
+    const hitLocation = COC7.hitLocations[location]
+    return hitLocation ? game.i18n.localize(hitLocation.label) : ''
+  }
+
+  /**
+   * Penalty dice to aim at a location.
+   */
+  static penalty (location) {
+    return COC7.hitLocations[location]?.penalty || 0
+  }
+
+  /**
+   * Location following the given one when cycling through called shots, no location after the last one.
+   */
+  static next (location) {
+    const locations = ['', ...Object.keys(COC7.hitLocations)]
+    return locations[(locations.indexOf(location || '') + 1) % locations.length]
+  }
+
+  /**
+   * @returns {Promise<String>} the location struck.
+   */
+  static async roll () {
+    const roll = await new Roll('1D20').roll({ async: true })
+    await CoC7Dice.showRollDice3d(roll)
+    return Object.keys(COC7.hitLocations).find(location => {
+      const [min, max] = COC7.hitLocations[location].range
+      return roll.total >= min && roll.total <= max
+    })
+  }
+
+  /**
+   * Location struck by a hit, the called shot one or a rolled one.
+   * @returns {Promise<String>} null when the rule is not used.
+   */
+  static async strike (calledShot = null) {
+    if (!CoC7HitLocation.enabled) return null
+    if (COC7.hitLocations[calledShot]) return calledShot
+    return await CoC7HitLocation.roll()
+  }
+}
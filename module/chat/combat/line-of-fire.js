@@ -0,0 +1,147 @@
+/* global canvas, game, Ray */
+
+/**
+ * Read the shot conditions from the scene: walls block the line of sight,
+ * drawings flagged as cover hide part of the target.
+ */
+export class CoC7LineOfFire {
+  constructor (shooter, target) {
+    this.shooter = shooter
+    this.target = target
+  }
+
+  /**
+   * A shooter fired from the actor directory has no token on the canvas, only its prototype data.
+   */
+  get placed () {
+    return (
+      typeof this.shooter?.center !== 'undefined' &&
+      typeof this.target?.center !== 'undefined'
+    )
+  }
+
+  /**
+   * Points of the target token aimed at, its center and a point near each corner.
+   */
+  get samples () {
+    const data = this.target.data
+    const width = data.width * canvas.grid.size
+    const height = data.height * canvas.grid.size
+    const samples = [this.target.center]
+    for (const [x, y] of [
+      [0.25, 0.25],
+      [0.75, 0.25],
+      [0.25, 0.75],
+      [0.75, 0.75]
+    ]) {
+      samples.push({ x: data.x + width * x, y: data.y + height * y })
+    }
+    return samples
+  }
+
+  /**
+   * Drawings flagged as cover, the ones the shooter stands in do not hide the target.
+   */
+  get coverDrawings () {
+    if (!this.placed) return []
+    const origin = this.shooter.center
+    return (canvas.drawings?.placeables || []).filter(
+      drawing =>
+        drawing.document.getFlag('CoC7', 'cover') &&
+        !CoC7LineOfFire.contains(drawing, origin)
+    )
+  }
+
+  static contains (drawing, point) {
+    const data = drawing.data
+    return (
+      point.x >= data.x &&
+      point.x <= data.x + data.width &&
+      point.y >= data.y &&
+      point.y <= data.y + data.height
+    )
+  }
+
+  static crosses (drawing, ray) {
+    if (CoC7LineOfFire.contains(drawing, ray.B)) return true
+    const { x, y, width, height } = drawing.data
+    return [
+      [x, y, x + width, y],
+      [x + width, y, x + width, y + height],
+      [x, y + height, x + width, y + height],
+      [x, y, x, y + height]
+    ].some(edge => ray.intersectSegment(edge))
+  }
+
+  /**
+   * @returns {Object} lineOfSight is false when walls hide the whole target,
+   * fullCover when walls and cover hide it, cover when only a part of it is hidden.
+   */
+  get conditions () {
+    const conditions = { lineOfSight: true, fullCover: false, cover: false }
+    if (!canvas.ready || !this.placed) return conditions
+    const samples = this.samples
+    const drawings = this.coverDrawings
+    let walled = 0
+    let hidden = 0
+    for (const sample of samples) {
+      const ray = new Ray(this.shooter.center, sample)
+      if (canvas.walls.checkCollision(ray, { type: 'sight', mode: 'any' })) {
+        walled++
+        hidden++
+      } else if (drawings.some(d => CoC7LineOfFire.crosses(d, ray))) hidden++
+    }
+    conditions.lineOfSight = walled < samples.length
+    conditions.fullCover = conditions.lineOfSight && hidden === samples.length
+    conditions.cover = hidden > 0 && hidden < samples.length
+    return conditions
+  }
+
+  /**
+   * Combatants other than the shooter standing next to the target.
+   */
+  get inMelee () {
+    if (!game.combat || !this.placed) return false
+    const reach = canvas.grid.size * 1.5
+    return game.combat.combatants.some(combatant => {
+      const token = combatant.token?.object
+      if (!token || token === this.target || token === this.shooter) {
+        return false
+      }
+      if (token.scene?.id !== this.target.scene?.id) return false
+      const distance = Math.hypot(
+        token.center.x - this.target.center.x,
+        token.center.y - this.target.center.y
+      )
+      const size =
+        (Math.max(token.data.width, this.target.data.width) - 1) *
+        canvas.grid.size
+      return distance <= reach + size
+    })
+  }
+
+  /**
+   * Size modifier of the target, from its build, its SIZ when it has no build
+   * or the token size: 2 squares or more is a big target, half a square or less a small one.
+   * @returns {Number} 1 for a big target, -1 for a small one.
+   */
+  get size () {
+    const actor = this.target?.actor
+    const build = parseInt(actor?.build)
+    if (!isNaN(build)) {
+      if (build >= 4) return 1
+      return build <= -2 ? -1 : 0
+    }
+    const siz = parseInt(actor?.data.data.characteristics?.siz?.value)
+    if (siz > 0) {
+      /** Without STR, twice the SIZ is used to estimate the build */
+      if (siz * 2 >= 285) return 1
+      return siz * 2 < 65 ? -1 : 0
+    }
+    const data = this.target?.data
+    if (!data) return 0
+    const squares = Math.max(data.width, data.height)
+    if (squares >= 2) return 1
+    return squares <= 0.5 ? -1 : 0
+  }
+}
@@ -5,6 +5,10 @@ import { chatHelper, CoC7Roll } from '../helper.js'
 import { CoC7Chat } from '../../chat.js'
 import { CoC7MeleeResoltion } from './melee-resolution.js'
 import { ChatCardActor } from '../card-actor.js'
+import { CoC7Combat } from '../../combat.js'
+import { CoC7HitLocation } from './hit-location.js'
+import { CoC7AttackProfile } from '../../actors/attack-profile.js'
+import { CoC7Dice } from '../../dice.js'
 
 // TODO : récupérer le jet en tant qu'objet !!!
 export class CoC7MeleeInitiator extends ChatCardActor {
@@ -14,6 +18,10 @@ export class CoC7MeleeInitiator extends ChatCardActor {
     this.resolved = false
     this.outnumbered = false
     this.surprised = false
+    this.calledShot = ''
+    this.profileName = ''
+    this.effect = ''
+    this.effectValue = ''
     this.autoSuccess = false
     this.advantage = false
     this.disadvantage = false
@@ -26,6 +34,73 @@ export class CoC7MeleeInitiator extends ChatCardActor {
     return 'systems/CoC7/templates/chat/combat/melee-initiator.html'
   }
 
+  get hitLocations () {
+    return CoC7HitLocation.enabled
+  }
+
+  get calledShotLabel () {
+    return CoC7HitLocation.label(this.calledShot)
+  }
+
+  /**
+   * Creature attack profiles the Keeper can pick instead of a single attack.
+   */
+  get attackProfiles () {
+    if (this.actor?.data.type !== 'creature') return []
+    return CoC7AttackProfile.getData(this.actor).filter(
+      profile => profile.attacks.length
+    )
+  }
+
+  get effectLabel () {
+    const label = CoC7AttackProfile.effects[this.effect]
+    return label ? game.i18n.localize(label) : ''
+  }
+
+  /**
+   * Roll every attack of the round of a creature attack profile, one card per attack.
+   * The card used to pick the profile is replaced by them.
+   */
+  async rollProfile (profileId) {
+    const profile = CoC7AttackProfile.profiles(this.actor).find(
+      p => p.id === profileId
+    )
+    if (!profile) return
+    const attacks = await CoC7AttackProfile.roundAttacks(profile)
+    for (const attack of attacks) {
+      const weapon = this.actor.items.get(attack.weaponId)
+      if (!weapon) continue
+      const initiator = new CoC7MeleeInitiator(
+        this.actorKey,
+        weapon.id,
+        this.fastForward
+      )
+      for (const flag of [
+        'targetKey',
+        'outnumbered',
+        'surprised',
+        'calledShot',
+        'autoSuccess',
+        'advantage',
+        'disadvantage'
+      ]) {
+        initiator[flag] = this[flag]
+      }
+      initiator.profileName = profile.name
+      initiator.effect = attack.effect || ''
+      initiator.effectValue = attack.effectValue || ''
+      const message = await initiator.createChatCard()
+      initiator.messageId = message.id
+      const check = await initiator.performSkillCheck(
+        weapon.data.data.skill.main.id
+      )
+      await CoC7Dice.showRollDice3d(check.dice.roll)
+      await initiator.publishCheckResult()
+    }
+    const message = game.messages.get(this.messageId)
+    if (message) await message.delete()
+  }
+
   async revealCheck () {
     // TODO : on utilise l'update du message au lieu de reconstruire l'objet. Changer ce comportement.
     const chatMessage = game.messages.get(this.messageId)
@@ -36,6 +111,13 @@ export class CoC7MeleeInitiator extends ChatCardActor {
 
   async createChatCard () {
     chatHelper.getActorImgFromKey(this.actorKey)
+    if (this.hasTarget) {
+      /** The defender has already used its responses this round */
+      const combatant = CoC7Combat.getCombatant(this.targetKey)
+      if (combatant?.actor && CoC7Combat.isOutnumbered(combatant)) {
+        this.outnumbered = true
+      }
+    }
     const html = await renderTemplate(this.template, this)
 
     const speakerData = {}
@@ -76,7 +158,9 @@ export class CoC7MeleeInitiator extends ChatCardActor {
     const flag = flagName.includes('-')
       ? chatHelper.hyphenToCamelCase(flagName)
       : flagName
-    this[flag] = !this[flag]
+    if (flag === 'calledShot') {
+      this.calledShot = CoC7HitLocation.next(this.calledShot)
+    } else this[flag] = !this[flag]
   }
 
   async performSkillCheck (skillId = null, publish = false) {
@@ -101,8 +185,12 @@ export class CoC7MeleeInitiator extends ChatCardActor {
     if (this.surprised) check.diceModifier += 1
     if (this.disadvantage) check.diceModifier -= 1
     if (this.advantage) check.diceModifier += 1
+    if (this.calledShot) {
+      check.diceModifier -= CoC7HitLocation.penalty(this.calledShot)
+    }
 
     await check.roll()
+    await CoC7Combat.recordAction(this.actorKey, 'attack', this.itemId)
     this.check = check
     this.rolled = true
     this.resolved = true
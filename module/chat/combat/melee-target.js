@@ -6,6 +6,7 @@ import { CoC7Chat } from '../../chat.js'
 import { ChatCardActor } from '../card-actor.js'
 import { CoC7MeleeResoltion } from './melee-resolution.js'
 import { CoC7MeleeInitiator } from './melee-initiator.js'
+import { CoC7Combat } from '../../combat.js'
 
 export class CoC7MeleeTarget extends ChatCardActor {
   constructor (actorKey, parentMessageId = null, fastForward = false) {
@@ -317,6 +318,10 @@ export class CoC7MeleeTarget extends ChatCardActor {
     if (this.advantage) check.diceModifier += 1
 
     await check.roll()
+    await CoC7Combat.recordAction(
+      this.actorKey,
+      this.dodging ? 'dodge' : 'fightBack'
+    )
     this.check = check
     this.rolled = true
     this.resolved = true
@@ -115,7 +115,10 @@ export class CoC7ConCheck {
       user: user.id,
       speaker: speaker,
       flavor: this.flavor,
-      content: htmlElement.outerHTML
+      content: htmlElement.outerHTML,
+      flags: {
+        CoC7: { conCheck: { stayAlive: !!this.stayAlive, rolled: fastForward } }
+      }
     }
 
     if (
@@ -125,9 +128,7 @@ export class CoC7ConCheck {
     }
     if (this.rollMode === 'blindroll') chatData.blind = true
 
-    ChatMessage.create(chatData).then(msg => {
-      return msg
-    })
+    return await ChatMessage.create(chatData)
   }
 
   async rollCon () {
@@ -163,7 +164,10 @@ export class CoC7ConCheck {
     if (!this.messageId) return
     const chatMessage = game.messages.get(this.messageId)
 
-    const msg = await chatMessage.update({ content: htmlElement.outerHTML })
+    const msg = await chatMessage.update({
+      content: htmlElement.outerHTML,
+      'flags.CoC7.conCheck.rolled': this.isRolled
+    })
     await ui.chat.updateMessage(msg, false)
     return msg
   }
@@ -3,6 +3,9 @@
 import { CoC7Dice } from '../dice.js'
 import { CoC7Check } from '../check.js'
 import { chatHelper, CoC7Roll, CoC7Damage } from './helper.js'
+import { CoC7Combat } from '../combat.js'
+import { CoC7LineOfFire } from './combat/line-of-fire.js'
+import { CoC7HitLocation } from './combat/hit-location.js'
 
 export class CoC7RangeInitiator {
   constructor (actorKey = null, itemId = null, fastForward = false) {
@@ -55,6 +58,12 @@ export class CoC7RangeInitiator {
           t.distance = chatHelper.getDistance(t.token, this.token)
           t.roundedDistance = Math.round(t.distance.value * 100) / 100
           t.distanceUnit = t.distance.unit
+          const lineOfFire = new CoC7LineOfFire(this.token, t.token)
+          Object.assign(t, lineOfFire.conditions)
+          t.inMelee = lineOfFire.inMelee
+          const size = lineOfFire.size
+          t.big = size > 0
+          t.small = size < 0
           const distInYd =
             Math.round(chatHelper.toYards(t.distance) * 100) / 100
           // if( distInYd){
@@ -141,6 +150,10 @@ export class CoC7RangeInitiator {
     return this._targets
   }
 
+  set targets (x) {
+    this._targets = x
+  }
+
   get target () {
     if (this.targets && this.targets.length) return this.targets.pop()
     return null
@@ -242,10 +255,30 @@ export class CoC7RangeInitiator {
     return game.settings.get('CoC7', 'disregardAmmo')
   }
 
+  get hitLocations () {
+    return CoC7HitLocation.enabled
+  }
+
+  get loadedAmmo () {
+    return this.weapon?.ammoModifiers?.name || null
+  }
+
   get ignoreUsesPerRound () {
     return game.settings.get('CoC7', 'disregardUsePerRound')
   }
 
+  get jammed () {
+    return !!this.weapon?.jammed
+  }
+
+  warnJammed () {
+    if (!this.jammed) return false
+    ui.notifications.warn(
+      game.i18n.format('CoC7.WarnWeaponJammed', { weapon: this.weapon.name })
+    )
+    return true
+  }
+
   get outOfAmmo () {
     if (this.ignoreAmmo) return false
     if (this.totalBulletsFired >= this.weapon.getBulletLeft()) return true
@@ -266,12 +299,17 @@ export class CoC7RangeInitiator {
   }
 
   set volleySize (x) {
-    if (x >= Math.floor(this.autoWeaponSkill.value / 10)) {
-      this._volleySize = Math.floor(this.autoWeaponSkill.value / 10)
-    } else if (x <= 3) {
-      this._volleySize = 3
-    }
-    this._volleySize = parseInt(x)
+    const size = parseInt(x)
+    if (isNaN(size)) return
+    this._volleySize = Math.min(Math.max(size, 3), this.maxVolleySize)
+  }
+
+  /**
+   * A volley can not be more than a tenth of the skill, with a minimum of 3 bullets.
+   */
+  get maxVolleySize () {
+    const size = Math.floor(this.autoWeaponSkill.value / 10)
+    return size < 3 ? 3 : size
   }
 
   get isVolleyMinSize () {
@@ -280,11 +318,7 @@ export class CoC7RangeInitiator {
   }
 
   get isVolleyMaxSize () {
-    const maxSize =
-      Math.floor(this.autoWeaponSkill.value / 10) < 3
-        ? 3
-        : Math.floor(this.autoWeaponSkill.value / 10)
-    if (maxSize === this.volleySize) return true
+    if (this.maxVolleySize === this.volleySize) return true
     return false
   }
 
@@ -298,25 +332,34 @@ export class CoC7RangeInitiator {
     }
   }
 
-  shotDifficulty (t = null) {
+  /**
+   * @param {CoC7RangeTarget} t target, the active one by default.
+   * @param {Number} rank order of the shot in the round.
+   * @param {Boolean} transit true when the volley moves from another target.
+   */
+  shotDifficulty (t = null, rank = this.currentShotRank, transit = false) {
     const target = t || this.activeTarget
-    let damage = this.weapon.data.data.range.normal.damage
+    let damage = this.weapon.rangeDamage('normal')
     if (this.weapon.data.data.properties.shotgun) {
-      if (t.longRange) damage = this.weapon.data.data.range.long.damage
-      if (t.extremeRange) damage = this.weapon.data.data.range.extreme.damage
+      if (target.longRange) damage = this.weapon.rangeDamage('long')
+      if (target.extremeRange) damage = this.weapon.rangeDamage('extreme')
     }
     let modifier = target.modifier
     let difficulty
     this.weapon.data.data.properties.shotgun
       ? (difficulty = 1)
       : (difficulty = target.difficulty)
+    if (!target.lineOfSight || target.fullCover) {
+      difficulty = CoC7Check.difficultyLevel.impossible
+    }
     let difficultyName = ''
-    if (this.aiming && this.currentShotRank === 1) modifier++
+    if ((this.aiming || this.aimed) && rank === 1) modifier++
     if (this.advantage) modifier++
     if (this.disadvantage) modifier--
     if (this.reload) modifier--
     if (this.multipleShots && !this.fullAuto) modifier--
-    if (this.fullAuto) modifier -= this.currentShotRank - 1
+    if (this.fullAuto) modifier -= rank - 1
+    if (transit) modifier--
     if (modifier < -2) {
       const excess = Math.abs(modifier + 2)
       difficulty += excess
@@ -351,71 +394,82 @@ export class CoC7RangeInitiator {
 
   /**
    * Shoot at the active target. Add it to the list of shots.
-   * TODO : recalculer la difficulté de tous les shots !.
    */
   addShotAtCurrentTarget () {
-    this.calcTargetsDifficulty()
-    const shot = {
-      target: this.activeTarget,
-      extremeRange: this.activeTarget.extremeRange,
+    if (this.warnJammed() || this.outOfAmmo) return
+    this.shots.push({
       actorKey: this.activeTarget.actorKey,
       actorName: this.activeTarget.name,
-      difficulty: this.activeTarget.shotDifficulty.level,
-      modifier: this.activeTarget.shotDifficulty.modifier,
-      damage: this.activeTarget.shotDifficulty.damage,
-      bulletsShot: 1,
-      transitBullets: 0,
-      bulletsShotTransit: 1,
-      transit: false
+      volley: this.volleySize
+    })
+    if (this.aiming) {
+      this.aiming = false
+      this.aimed = true
     }
+    this.planShots()
+  }
 
-    let bulletLeft = this.totalAmmo - this.totalBulletsFired
+  removeShot (index) {
+    if (index < 0 || index >= this.shots.length) return
+    this.shots.splice(index, 1)
+    this.planShots()
+  }
 
-    if (this.fullAuto) {
-      if (this.currentShotRank > 1) {
-        const previousShot = this.shots[this.currentShotRank - 2]
-        if (previousShot.actorKey !== this.activeTarget.actorKey) {
+  /**
+   * Compute the bullets and the difficulty of every planned shot, in order.
+   * Each full auto volley after the first adds a penalty die. Moving the volley
+   * to another target adds one more and wastes one bullet per yard between the targets.
+   * The shots left once the ammunition runs out are dropped.
+   */
+  planShots () {
+    let bulletLeft = this.ignoreAmmo ? Infinity : this.totalAmmo
+    this.totalBulletsFired = 0
+    const shots = []
+    for (const shot of this.shots) {
+      const index = shots.length
+      const previousShot = index > 0 ? shots[index - 1] : null
+      shot.transit = false
+      shot.transitBullets = 0
+      shot.bulletsShot = 1
+      if (this.fullAuto) {
+        if (previousShot && previousShot.actorKey !== shot.actorKey) {
           const distance = chatHelper.getDistance(
             chatHelper.getTokenFromKey(previousShot.actorKey),
-            chatHelper.getTokenFromKey(this.activeTarget.actorKey)
+            chatHelper.getTokenFromKey(shot.actorKey)
           )
-          shot.transitBullets = Math.floor(chatHelper.toYards(distance))
-          if (shot.transitBullets >= bulletLeft && !this.ignoreAmmo) {
-            shot.transitBullets = bulletLeft
-            bulletLeft = 0
-          }
-          this.totalBulletsFired =
-            parseInt(this.totalBulletsFired) + shot.transitBullets
+          shot.transitBullets = Math.min(
+            Math.floor(chatHelper.toYards(distance)),
+            bulletLeft
+          )
+          bulletLeft -= shot.transitBullets
           shot.transit = true
         }
+        shot.bulletsShot = Math.max(parseInt(shot.volley) || this.volleySize, 3)
+      } else if (this.burst) {
+        shot.bulletsShot = parseInt(this.weapon.data.data.usesPerRound.burst)
+          ? parseInt(this.weapon.data.data.usesPerRound.burst)
+          : 1
       }
-      shot.bulletsShot = this.volleySize
-      if (shot.bulletsShot <= 3) shot.bulletsShot = 3
-      if (shot.bulletsShot >= bulletLeft && !this.ignoreAmmo) {
-        shot.bulletsShot = bulletLeft
-        bulletLeft = 0
-      }
+      shot.bulletsShot = Math.min(shot.bulletsShot, bulletLeft)
+      if (shot.bulletsShot <= 0) break
+      bulletLeft -= shot.bulletsShot
       // bulletsShotTransit is for localizing CoC7.ShotBullets using parameters, localize does not accept adding a parameter as a sum of shot.bulletsShot + shot.transitBullets, so I create a new value in advance to use instead
       shot.bulletsShotTransit = shot.bulletsShot + shot.transitBullets
-    }
-    if (this.burst) {
-      shot.bulletsShot = parseInt(this.weapon.data.data.usesPerRound.burst)
-        ? parseInt(this.weapon.data.data.usesPerRound.burst)
-        : 1
-      if (shot.bulletsShot >= bulletLeft && !this.ignoreAmmo) {
-        shot.bulletsShot = bulletLeft
-        bulletLeft = 0
+      this.totalBulletsFired += shot.bulletsShotTransit
+
+      const target = this.getTargetFromKey(shot.actorKey)
+      if (target) {
+        const difficulty = this.shotDifficulty(target, index + 1, shot.transit)
+        shot.actorName = target.name
+        shot.extremeRange = target.extremeRange
+        shot.difficulty = difficulty.level
+        shot.modifier = difficulty.modifier
+        shot.damage = difficulty.damage
+        shot.calledShot = target.calledShot || ''
       }
+      shots.push(shot)
     }
-
-    this.totalBulletsFired = parseInt(this.totalBulletsFired) + shot.bulletsShot
-
-    if (this.aiming) {
-      this.aiming = false
-      this.aimed = true
-    }
-
-    this.shots.push(shot)
+    this.shots = shots
   }
 
   get template () {
@@ -491,6 +545,7 @@ export class CoC7RangeInitiator {
   }
 
   async resolveCard () {
+    if (this.warnJammed()) return
     this.rolls = []
     if (this.multiTarget) {
       let weaponMalfunction = false
@@ -528,6 +583,7 @@ export class CoC7RangeInitiator {
         difficulty: this.activeTarget.shotDifficulty.level,
         modifier: this.activeTarget.shotDifficulty.modifier,
         damage: this.activeTarget.shotDifficulty.damage,
+        calledShot: this.activeTarget.calledShot || '',
         bulletsShot: bulletFired,
         transitBullets: 0,
         transit: false
@@ -577,6 +633,7 @@ export class CoC7RangeInitiator {
     check.targetKey = target.actorKey
 
     await check.roll()
+    await CoC7Combat.recordAction(this.actorKey, 'attack', this.itemId)
     return check
   }
 
@@ -758,7 +815,8 @@ export class CoC7RangeInitiator {
           formula: damageFormula,
           total: roll.total,
           die: damageDie,
-          critical: false
+          critical: false,
+          location: await CoC7HitLocation.strike(h.shot.calledShot)
         })
         total += roll.total
       }
@@ -772,11 +830,16 @@ export class CoC7RangeInitiator {
           formula: criticalDamageFormula,
           total: roll.total,
           die: criticalDamageDie,
-          critical: true
+          critical: true,
+          location: await CoC7HitLocation.strike(h.shot.calledShot)
         })
         total += roll.total
       }
 
+      for (const damageRoll of damageRolls) {
+        damageRoll.locationLabel = CoC7HitLocation.label(damageRoll.location)
+      }
+
       let targetName = 'dummy'
       let target = chatHelper.getTokenFromKey(h.roll.targetKey)
       if (!target) target = chatHelper.getActorFromKey(h.roll.targetKey) // REFACTORING (2)
@@ -814,7 +877,16 @@ export class CoC7RangeInitiator {
           rIndex++
         ) {
           const dealtAmount = await actor.dealDamage(
-            this.damage[dIndex].rolls[rIndex].total
+            this.damage[dIndex].rolls[rIndex].total,
+            {
+              damageType: this.weapon.damageType,
+              impaled:
+                !!this.damage[dIndex].rolls[rIndex].critical &&
+                this.weapon.impale,
+              location: this.damage[dIndex].rolls[rIndex].location,
+              source: this.weapon.name,
+              sourceType: 'weapon'
+            }
           )
           this.damage[dIndex].totalTaken += dealtAmount
           this.damage[dIndex].rolls[rIndex].taken = dealtAmount
@@ -832,6 +904,18 @@ export class CoC7RangeInitiator {
             armor: this.damage[dIndex].totalAbsorbed
           }
         )
+        const { bypassed } = actor.armorProtection(this.weapon.damageType, true)
+        if (
+          bypassed.length &&
+          this.weapon.impale &&
+          this.damage[dIndex].rolls.some(roll => roll.critical)
+        ) {
+          this.damage[dIndex].resultString +=
+            ' ' +
+            game.i18n.format('CoC7.ArmorBypassedByImpale', {
+              armor: bypassed.join(', ')
+            })
+        }
       }
     }
     this.damageDealt = true
@@ -848,6 +932,13 @@ export class CoC7RangeTarget {
     this.longRange = false
     this.extremeRange = false
     this.inMelee = false
+    this.fullCover = false
+    this.lineOfSight = true
+    this.calledShot = ''
+  }
+
+  get calledShotLabel () {
+    return CoC7HitLocation.label(this.calledShot)
   }
 
   get big () {
@@ -961,6 +1052,7 @@ export class CoC7RangeTarget {
     if (this.big) modifier++
     if (this.inMelee) modifier--
     if (this.surprised) modifier++
+    if (this.calledShot) modifier -= CoC7HitLocation.penalty(this.calledShot)
     return modifier
   }
 
@@ -1007,6 +1099,8 @@ export class CoC7RangeTarget {
         this.small = false
         this.big = false
       } else this.small = true
+    } else if (flag === 'calledShot') {
+      this.calledShot = CoC7HitLocation.next(this.calledShot)
     } else this[flag] = !this[flag]
     if (flag === 'fast' && this.fast && !this.isFast) {
       ui.notifications.warn(
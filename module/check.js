@@ -1,7 +1,6 @@
 /* global $, Actor, AudioHelper, ChatMessage, CONFIG, CONST, duplicate, foundry, fromUuid, game, getComputedStyle, Item, mergeObject, renderTemplate, Token, ui */
 
 import { CoC7Dice } from './dice.js'
-import { CoC7Item } from './items/item.js'
 import { chatHelper, CoC7Roll } from './chat/helper.js'
 import { CoCActor } from './actors/actor.js'
 import { CoC7Utilities } from './utilities.js'
@@ -884,7 +883,7 @@ export class CoC7Check {
           this.malfunctionTxt = game.i18n.format('CoC7.Malfunction', {
             itemName: this.item.name
           })
-          await this.item.toggleItemFlag(CoC7Item.flags.malfunction)
+          await this.item.jam(Number(this.modifiedResult))
         }
       }
     }
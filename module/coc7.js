@@ -21,6 +21,10 @@ import { CoC7Hooks } from './hooks/index.js'
 import * as DiceBot from './dicebot.js'
 import '../styles/system/index.less'
 import { CoC7ChaseSheet } from './items/sheets/chase.js'
+import { CoC7Spell } from './items/spell/data.js'
+import { CoC7Book } from './items/book/data.js'
+import { CoCActor } from './actors/actor.js'
+import { CoC7SanityRecovery } from './actors/sanity-recovery.js'
 import { CoC7Socket } from './hooks/socket.js'
 import { DropActorSheetData } from './hooks/drop-actor-sheet-data.js'
 import { TestCard } from './chat/cards/test.js'
@@ -263,6 +267,9 @@ Hooks.on('deleteActiveEffect', (data, options, userId) => {
           forceValue: true
         })
     }
+    if (data.data.flags.core.statusId === COC7.status.indefInsane) {
+      data.parent.clearInsanityStatuses()
+    }
   }
 })
 
@@ -353,6 +360,56 @@ Hooks.on('ready', async () => {
     onChange: id => _tableSettingsChanged('boutOfMadness_RealTime', id)
   })
 
+  game.settings.register('CoC7', 'chaseEnvironmentTable', {
+    name: 'SETTINGS.ChaseEnvironmentTable',
+    hint: 'SETTINGS.ChaseEnvironmentTableHint',
+    scope: 'world',
+    config: true,
+    default: 'none',
+    type: String,
+    choices: tableChoice
+  })
+
+  game.settings.register('CoC7', 'chaseObstacleTable', {
+    name: 'SETTINGS.ChaseObstacleTable',
+    hint: 'SETTINGS.ChaseObstacleTableHint',
+    scope: 'world',
+    config: true,
+    default: 'none',
+    type: String,
+    choices: tableChoice
+  })
+
+  game.settings.register('CoC7', 'chaseObstacleCheckTable', {
+    name: 'SETTINGS.ChaseObstacleCheckTable',
+    hint: 'SETTINGS.ChaseObstacleCheckTableHint',
+    scope: 'world',
+    config: true,
+    default: 'none',
+    type: String,
+    choices: tableChoice
+  })
+
+  game.settings.register('CoC7', 'chaseObstacleDifficultyTable', {
+    name: 'SETTINGS.ChaseObstacleDifficultyTable',
+    hint: 'SETTINGS.ChaseObstacleDifficultyTableHint',
+    scope: 'world',
+    config: true,
+    default: 'none',
+    type: String,
+    choices: tableChoice
+  })
+
+  game.settings.register('CoC7', 'spellPushFailureTable', {
+    name: 'SETTINGS.SpellPushFailureTable',
+    hint: 'SETTINGS.SpellPushFailureTableHint',
+    scope: 'world',
+    config: true,
+    default: 'none',
+    type: String,
+    choices: tableChoice
+  })
+
   // game.settings.register('CoC7', 'boutOfMadnessPhobiasIndex',{
   //  name: 'SETTINGS.BoutOfMadnessPhobiasIndex',
   //  hint: 'SETTINGS.BoutOfMadnessPhobiasIndexHint',
@@ -425,6 +482,24 @@ Hooks.on('closeCoC7ChaseSheet', (app, html) =>
   CoC7ChaseSheet.onClose(app, html)
 )
 
+Hooks.on('updateActor', actor => CoC7ChaseSheet.onUpdateActor(actor))
+Hooks.on('updateCombat', (combat, changes) => {
+  if ('round' in changes) {
+    CoC7Combat.resetRound(combat)
+    CoC7Combat.checkDying(combat)
+  }
+  CoC7Spell.checkRituals()
+})
+Hooks.on('updateWorldTime', () => {
+  CoC7Spell.checkRituals()
+  CoC7Book.checkStudy()
+  CoCActor.checkRecovery()
+  CoC7SanityRecovery.checkTreatments()
+})
+Hooks.on('createCombatant', combatant => {
+  if (game.user.isGM) CoC7Book.interruptStudy(combatant.actor)
+})
+
 // Called on closing a character sheet to lock it on getting it to display values
 Hooks.on('closeActorSheet', characterSheet => characterSheet.onCloseSheet())
 Hooks.on('renderCoC7CreatureSheet', (app, html, data) =>
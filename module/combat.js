@@ -1,6 +1,8 @@
-/* global $, game */
+/* global $, duplicate, game, ui */
 
 import { CoC7Check } from './check.js'
+import { chatHelper } from './chat/helper.js'
+import { CoC7ConCheck } from './chat/concheck.js'
 export class CoC7Combat {
   static renderCombatTracker (app, html, data) {
     const currentCombat = data.combats[data.currentIndex - 1]
@@ -29,6 +31,15 @@ export class CoC7Combat {
           )}" data-control="drawGun"><i class="game-icon game-icon-revolver"></i></a>`
         )
       }
+      $(combatantControlsDiv).prepend(
+        `<a class="combatant-control delay-action${
+          CoC7Combat.roundState(combatant).delayed ? ' active' : ''
+        }" title="${game.i18n.localize(
+          'CoC7.DelayAction'
+        )}"><i class="fas fa-hourglass-half"></i></a>`
+      )
+      const tokenName = el.querySelector('.token-name')
+      if (tokenName) tokenName.append(CoC7Combat.badges(combatant))
       if (
         game.settings.get('CoC7', 'initiativeRule') === 'optional' &&
         game.settings.get('CoC7', 'displayInitAsText')
@@ -93,6 +104,7 @@ export class CoC7Combat {
       }
     })
     html.find('.add-init').click(event => CoC7Combat._onToggleGun(event))
+    html.find('.delay-action').click(event => CoC7Combat._onDelayAction(event))
   }
 
   static async _onToggleGun (event) {
@@ -114,6 +126,234 @@ export class CoC7Combat {
       if (c.initiative < newInit) game.combat.setInitiative(c.id, newInit)
     } else game.combat.setInitiative(c.id, newInit)
   }
+
+  static async _onDelayAction (event) {
+    event.preventDefault()
+    event.stopPropagation()
+    const li = event.currentTarget.closest('.combatant')
+    const combatant = game.combat.combatants.get(li.dataset.combatantId)
+    if (combatant?.actor) {
+      await CoC7Combat.recordAction(combatant.actor.actorKey, 'delay')
+    }
+  }
+
+  /**
+   * Actions taken by the combatant during the current round.
+   * The state is only valid for the round it was recorded in.
+   */
+  static roundState (combatant) {
+    const round = combatant?.parent?.round || 0
+    const state = combatant?.getFlag('CoC7', 'round')
+    if (state?.round === round) return state
+    return {
+      round: round,
+      attacks: 0,
+      dodges: 0,
+      fightBacks: 0,
+      delayed: false
+    }
+  }
+
+  static getCombatant (actorKey) {
+    const actor = chatHelper.getActorFromKey(actorKey)
+    if (!actor) return null
+    return (
+      game.combat?.combatants.find(c => c.actor?.actorKey === actor.actorKey) ||
+      null
+    )
+  }
+
+  /**
+   * Number of attacks allowed each round, firearms use the weapon uses per round.
+   */
+  static attacksAllowed (actor, weapon = null) {
+    if (weapon?.data.data.properties?.rngd) {
+      return Math.max(weapon.usesPerRound, weapon.maxUsesPerRound, 1)
+    }
+    /** Creatures can make as many attacks as their largest attack profile */
+    const profiles = (actor?.data.data.attackProfiles || []).map(
+      profile => parseInt(profile.attacksPerRound) || 1
+    )
+    return Math.max(
+      parseInt(actor?.data.data.special?.attacksPerRound) || 1,
+      ...profiles
+    )
+  }
+
+  /**
+   * Once a combatant has used all its responses (dodge or fight back) for the round,
+   * the following attackers get a bonus die.
+   * Creatures with several attacks per round can respond as many times.
+   */
+  static isOutnumbered (combatant) {
+    const state = CoC7Combat.roundState(combatant)
+    return (
+      state.dodges + state.fightBacks >=
+      CoC7Combat.attacksAllowed(combatant.actor)
+    )
+  }
+
+  /**
+   * Record an action of the actor in the current round of the combat.
+   * @param {String} actorKey
+   * @param {String} action 'attack' || 'dodge' || 'fightBack' || 'delay'
+   * @param {String} itemId weapon used to attack.
+   * @returns {Object} the new round state, null if the actor is not in combat.
+   */
+  static async recordAction (actorKey, action, itemId = null) {
+    const combatant = CoC7Combat.getCombatant(actorKey)
+    if (!combatant) return null
+    if (!combatant.isOwner) {
+      return await game.CoC7socket.executeAsGM('gmrecordcombataction', {
+        actorKey: actorKey,
+        action: action,
+        itemId: itemId
+      })
+    }
+    const state = duplicate(CoC7Combat.roundState(combatant))
+    switch (action) {
+      case 'attack': {
+        state.attacks++
+        const allowed = CoC7Combat.attacksAllowed(
+          combatant.actor,
+          combatant.actor.items.get(itemId)
+        )
+        state.allowed = Math.max(state.allowed || 0, allowed)
+        if (
+          state.attacks > allowed &&
+          !game.settings.get('CoC7', 'disregardUsePerRound')
+        ) {
+          ui.notifications.warn(
+            game.i18n.format('CoC7.WarnTooManyAttacks', {
+              name: combatant.name,
+              allowed: allowed
+            })
+          )
+        }
+        break
+      }
+      case 'dodge':
+        state.dodges++
+        break
+      case 'fightBack':
+        state.fightBacks++
+        break
+      case 'delay':
+        state.delayed = !state.delayed
+        break
+    }
+    await combatant.setFlag('CoC7', 'round', state)
+    return state
+  }
+
+  /**
+   * Clear the round state of every combatant, called when a new round starts.
+   */
+  static async resetRound (combat) {
+    if (!game.user.isGM) return
+    const updates = combat.combatants
+      .filter(c => c.getFlag('CoC7', 'round'))
+      .map(c => {
+        return { _id: c.id, 'flags.CoC7.-=round': null }
+      })
+    if (updates.length) {
+      await combat.updateEmbeddedDocuments('Combatant', updates)
+    }
+  }
+
+  /**
+   * Dying combatants make a CON roll at the end of each round or die.
+   * Only once per round when the combat moves forward, not when it starts or steps back.
+   * The check of a combatant is not repeated while the previous one is not rolled.
+   */
+  static async checkDying (combat) {
+    if (!game.user.isGM) return
+    const checked = combat.getFlag('CoC7', 'dyingRound') || 1
+    if (combat.round <= checked) return
+    await combat.setFlag('CoC7', 'dyingRound', combat.round)
+    const pending = (combat.getFlag('CoC7', 'dyingChecks') || []).filter(
+      check => {
+        const message = game.messages.get(check.messageId)
+        return message && !message.getFlag('CoC7', 'conCheck')?.rolled
+      }
+    )
+    for (const combatant of combat.combatants) {
+      const actor = combatant.actor
+      if (!actor?.dying || actor.dead) continue
+      if (pending.some(check => check.actorKey === actor.actorKey)) continue
+      const conCheck = new CoC7ConCheck(actor.actorKey)
+      conCheck.stayAlive = true
+      const message = await conCheck.toMessage()
+      if (message) {
+        pending.push({ actorKey: actor.actorKey, messageId: message.id })
+      }
+    }
+    await combat.setFlag('CoC7', 'dyingChecks', pending)
+  }
+
+  /**
+   * Badges displayed in the combat tracker for the round state.
+   */
+  static badges (combatant) {
+    const state = CoC7Combat.roundState(combatant)
+    const div = document.createElement('div')
+    div.classList.add('round-badges')
+    const badges = []
+    if (state.attacks) {
+      const allowed =
+        state.allowed || CoC7Combat.attacksAllowed(combatant.actor)
+      badges.push({
+        icon: 'fas fa-fist-raised',
+        value: `${state.attacks}/${allowed}`,
+        title: game.i18n.localize('CoC7.RoundAttacks')
+      })
+    }
+    if (state.dodges) {
+      badges.push({
+        icon: 'fas fa-running',
+        value: state.dodges,
+        title: game.i18n.localize('CoC7.RoundDodges')
+      })
+    }
+    if (state.fightBacks) {
+      badges.push({
+        icon: 'fas fa-shield-alt',
+        value: state.fightBacks,
+        title: game.i18n.localize('CoC7.RoundFightBacks')
+      })
+    }
+    if (combatant.actor && CoC7Combat.isOutnumbered(combatant)) {
+      badges.push({
+        icon: 'fas fa-users',
+        value: '+1',
+        title: game.i18n.localize('CoC7.RoundOutnumbered'),
+        css: 'outnumbered'
+      })
+    }
+    if (state.delayed) {
+      badges.push({
+        icon: 'fas fa-hourglass-half',
+        value: '',
+        title: game.i18n.localize('CoC7.RoundDelayed')
+      })
+    }
+    if (combatant.getFlag('CoC7', 'hasGun')) {
+      badges.push({
+        icon: 'game-icon game-icon-revolver',
+        value: '',
+        title: game.i18n.localize('CoC7.RoundFirearmReady')
+      })
+    }
+    for (const badge of badges) {
+      const span = document.createElement('span')
+      span.classList.add('round-badge')
+      if (badge.css) span.classList.add(badge.css)
+      span.title = badge.title
+      span.innerHTML = `<i class="${badge.icon}"></i>${badge.value}`
+      div.append(span)
+    }
+    return div
+  }
 }
 
 /**
@@ -65,6 +65,23 @@ COC7.weaponProperties = {
   burn: 'CoC7.Weapon.Property.Burn'
 }
 
+COC7.hitLocations = {
+  rightLeg: { label: 'CoC7.HitLocationRightLeg', range: [1, 4], penalty: 1 },
+  leftLeg: { label: 'CoC7.HitLocationLeftLeg', range: [5, 8], penalty: 1 },
+  abdomen: { label: 'CoC7.HitLocationAbdomen', range: [9, 11], penalty: 0 },
+  chest: { label: 'CoC7.HitLocationChest', range: [12, 12], penalty: 0 },
+  rightArm: { label: 'CoC7.HitLocationRightArm', range: [13, 15], penalty: 1 },
+  leftArm: { label: 'CoC7.HitLocationLeftArm', range: [16, 18], penalty: 1 },
+  head: { label: 'CoC7.HitLocationHead', range: [19, 20], penalty: 2 }
+}
+
+COC7.damageTypes = {
+  bullets: 'CoC7.DamageTypeBullets',
+  blades: 'CoC7.DamageTypeBlades',
+  blunt: 'CoC7.DamageTypeBlunt',
+  fire: 'CoC7.DamageTypeFire'
+}
+
 COC7.spellProperties = {
   call: 'CoC7.CallSpell',
   dismiss: 'CoC7.DismissSpell',
@@ -97,6 +114,24 @@ COC7.statusType = {
   phobia: 'CoC7.Phobia'
 }
 
+COC7.vehicleCrewRoles = {
+  driver: 'CoC7.Driver',
+  gunner: 'CoC7.Gunner',
+  passenger: 'CoC7.Passenger'
+}
+
+// Build lost by the vehicle and damage taken by each occupant.
+COC7.vehicleIncidents = {
+  minor: { label: 'CoC7.MinorIncident', build: '1D3-1', occupants: '0' },
+  moderate: {
+    label: 'CoC7.ModerateIncident',
+    build: '1D10',
+    occupants: '1D3'
+  },
+  severe: { label: 'CoC7.SevereIncident', build: '2D10', occupants: '1D6' },
+  major: { label: 'CoC7.MajorIncident', build: '5D10', occupants: '2D10' }
+}
+
 COC7.occupationProperties = {
   classic: 'CoC7.Classic',
   lovecraftian: 'CoC7.Lovecraftian',
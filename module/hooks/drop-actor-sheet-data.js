@@ -21,9 +21,9 @@ export function DropActorSheetData (actor, sheet, data) {
       case 'vehicle':
         return
       case 'container':
-        if (!['book', 'item', 'spell', 'weapon'].includes(data.data.type)) {
-          return
-        }
+        // Physical items moved to a container are transferred by the sheet, see CoC7Inventory.
+        if (data.data.type !== 'spell') return
+        break
     }
     if (actorFrom) {
       actorFrom.deleteEmbeddedDocuments('Item', [data.data._id])
@@ -3,6 +3,7 @@ import * as Ready from './ready.js'
 import * as RenderActorSheet from './render-actor-sheet.js'
 import * as RenderChatMessage from './render-chat-message.js'
 import * as RenderDialog from './render-dialog.js'
+import * as RenderDrawingConfig from './render-drawing-config.js'
 import * as RenderItemSheet from './render-item-sheet.js'
 import * as RenderPause from './render-pause.js'
 
@@ -13,6 +14,7 @@ export const CoC7Hooks = {
     RenderActorSheet.listen()
     RenderChatMessage.listen()
     RenderDialog.listen()
+    RenderDrawingConfig.listen()
     RenderItemSheet.listen()
     RenderPause.listen()
   }
@@ -0,0 +1,18 @@
+/* global game, Hooks */
+
+export function listen () {
+  /** Let the Keeper flag a drawing as cover for range combat */
+  Hooks.on('renderDrawingConfig', (app, html) => {
+    if (!game.user.isGM) return
+    const cover = app.object.getFlag('CoC7', 'cover') ? 'checked' : ''
+    const tab = html.find('.tab[data-tab="position"]')
+    tab.append(
+      `<div class="form-group"><label>${game.i18n.localize(
+        'CoC7.DrawingCover'
+      )}</label><input type="checkbox" name="flags.CoC7.cover" ${cover}/><p class="notes">${game.i18n.localize(
+        'CoC7.DrawingCoverHint'
+      )}</p></div>`
+    )
+    app.setPosition({ height: 'auto' })
+  })
+}
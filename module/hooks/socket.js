@@ -1,10 +1,17 @@
 /* global game, socketlib, ui */
 import { CoC7MeleeTarget } from '../chat/combat/melee-target.js'
+import { CoC7Inventory } from '../actors/inventory.js'
+import { CoC7SpellEffects } from '../items/spell/effects.js'
+import { CoC7Combat } from '../combat.js'
+import { CoCActor } from '../actors/actor.js'
 
 export function CoC7Socket () {
   game.CoC7socket = socketlib.registerSystem('CoC7')
   game.CoC7socket.register('gmcreatemessageas', gmcreatemessageas)
   game.CoC7socket.register('gmtradeitemto', gmtradeitemto)
+  game.CoC7socket.register('gmapplyspelleffects', gmapplyspelleffects)
+  game.CoC7socket.register('gmrecordcombataction', gmrecordcombataction)
+  game.CoC7socket.register('gmapplytreatment', gmapplytreatment)
 }
 
 async function gmcreatemessageas (data) {
@@ -20,22 +27,57 @@ async function gmcreatemessageas (data) {
 
 async function gmtradeitemto (data) {
   try {
-    let actor
-    if (data.scene) {
-      actor = game.scenes.get(data.scene).tokens.get(data.actorFrom).actor
-    } else {
-      actor = game.actors.get(data.actorFrom)
-    }
+    const actor = CoC7Inventory.getActor(
+      data.actorFrom,
+      data.scene,
+      data.scene ? data.actorFrom : null
+    )
+    const target = CoC7Inventory.getActor(
+      data.actorTo,
+      data.sceneTo,
+      data.sceneTo ? data.actorTo : null
+    )
     const item = actor.items.get(data.item)
-    const created = await game.actors
-      .get(data.actorTo)
-      .createEmbeddedDocuments('Item', [item.toJSON()])
-    if (created) {
-      actor.deleteEmbeddedDocuments('Item', [item.id])
-    }
+    return await CoC7Inventory.transfer(
+      actor,
+      target,
+      item,
+      data.quantity,
+      data.user
+    )
+  } catch (e) {
+    ui.notifications.error(e)
+    return false
+  }
+}
+
+async function gmapplyspelleffects (results) {
+  try {
+    return await CoC7SpellEffects.apply(results)
+  } catch (e) {
+    ui.notifications.error(e)
+    return false
+  }
+}
+
+async function gmrecordcombataction (data) {
+  try {
+    return await CoC7Combat.recordAction(
+      data.actorKey,
+      data.action,
+      data.itemId
+    )
+  } catch (e) {
+    ui.notifications.error(e)
+    return null
+  }
+}
+
+async function gmapplytreatment (data) {
+  try {
+    return await CoCActor.applyTreatment(data)
   } catch (e) {
     ui.notifications.error(e)
     return false
   }
-  return true
 }
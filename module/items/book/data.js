@@ -1,5 +1,6 @@
-/* global ChatMessage, duplicate, game, renderTemplate, Roll, ui */
+/* global canvas, ChatMessage, Dialog, duplicate, game, renderTemplate, Roll, ui */
 
+import { chatHelper } from '../../chat/helper.js'
 import { SanCheckCard } from '../../chat/cards/san-check.js'
 import { CoC7Check } from '../../check.js'
 import { CoC7Item } from '../item.js'
@@ -407,7 +408,8 @@ export class CoC7Book extends CoC7Item {
           fastForward: false,
           sanData: {
             sanMin: sanityLoss,
-            sanMax: sanityLoss
+            sanMax: sanityLoss,
+            source: { type: 'book', name: this.name }
           }
         })
       )
@@ -480,6 +482,201 @@ export class CoC7Book extends CoC7Item {
     }
   }
 
+  static get studyUnits () {
+    return { hours: 3600, weeks: 604800 }
+  }
+
+  /**
+   * Activities the owner can study in this book, the spells are studied one at a time
+   * @returns {Array<Object>} {key, label, spellId}
+   */
+  get studyActivities () {
+    const activities = []
+    if (!this.data.data.initialReading) {
+      activities.push({
+        key: 'reading',
+        label: game.i18n.localize('CoC7.InitialReading')
+      })
+      return activities
+    }
+    const study = this.data.data.study
+    if (this.data.data.type.mythos && study.progress < study.necessary) {
+      activities.push({
+        key: 'full',
+        label: game.i18n.localize('CoC7.FullStudy')
+      })
+    }
+    for (const spell of this.data.data.spells) {
+      if (spell.data.learned) continue
+      activities.push({
+        key: 'spell',
+        spellId: spell._id,
+        label: game.i18n.format('CoC7.StudySpell', { spell: spell.name })
+      })
+    }
+    return activities
+  }
+
+  /** The study session of the owner when it is about this book */
+  get studySession () {
+    const session = this.actor?.getFlag('CoC7', 'study')
+    return session?.bookId === this.id ? session : null
+  }
+
+  /**
+   * Log a study session, the time spent is counted as the world time goes by
+   * Any other session of the owner is interrupted, the rituals in progress only when the owner agrees
+   * @param {Object} activity @see studyActivities
+   * @param {number} duration length of the session
+   * @param {string} units 'hours' || 'weeks'
+   * @returns {Promise<Document>} update to Actor document
+   */
+  async startStudy (activity, duration, units = 'hours') {
+    if (!this.isOwned) {
+      /** This is not owned by any Actor */
+      return ui.notifications.error(game.i18n.localize('CoC7.NotOwned'))
+    }
+    const seconds = duration * (CoC7Book.studyUnits[units] || 0)
+    if (!(seconds > 0)) return
+    const rituals = Object.keys(this.actor.getFlag('CoC7', 'rituals') || {})
+    if (rituals.length) {
+      const interrupt = await Dialog.confirm({
+        title: game.i18n.localize('CoC7.InterruptRitual'),
+        content: `<p>${game.i18n.format('CoC7.InterruptRitualHint', {
+          actor: this.actor.name
+        })}</p>`,
+        defaultYes: false
+      })
+      if (!interrupt) return
+      await this.actor.unsetFlag('CoC7', 'rituals')
+    }
+    await CoC7Book.interruptStudy(this.actor)
+    const now = game.time.worldTime
+    return await this.actor.setFlag('CoC7', 'study', {
+      bookId: this.id,
+      activity: activity.key,
+      spellId: activity.spellId || null,
+      label: activity.label,
+      start: now,
+      last: now,
+      end: now + seconds
+    })
+  }
+
+  /**
+   * Add the world time elapsed since the last update to the activity studied
+   * and fire the grants when the time needed is reached
+   * @param {Object} session @see startStudy
+   * @param {number} time world time to count up to
+   * @returns {Promise<boolean>} true when the activity is over
+   */
+  async advanceStudy (session, time) {
+    const seconds = Math.min(time, session.end) - session.last
+    if (seconds <= 0) return false
+    const study = this.data.data.study
+    const elapsed = {
+      reading: study.elapsed?.reading || 0,
+      full: study.elapsed?.full || 0
+    }
+    switch (session.activity) {
+      case 'reading': {
+        elapsed.reading += seconds
+        if (elapsed.reading < (study.reading || 0) * 3600) break
+        await this.update({ 'data.study.elapsed.reading': 0 })
+        await this.attemptInitialReading()
+        return true
+      }
+      case 'full': {
+        elapsed.full += seconds
+        const week = CoC7Book.studyUnits.weeks
+        while (
+          elapsed.full >= week &&
+          this.data.data.study.progress < study.necessary
+        ) {
+          elapsed.full -= week
+          await this.update({ 'data.study.elapsed.full': elapsed.full })
+          await this.changeProgress('increase')
+          if ((await this.checkExhaustion()) !== false) return true
+        }
+        if (this.data.data.study.progress >= study.necessary) {
+          await this.update({ 'data.study.elapsed.full': 0 })
+          return true
+        }
+        break
+      }
+      case 'spell': {
+        const spells = duplicate(this.data.data.spells)
+        const spell = spells.find(spell => spell._id === session.spellId)
+        if (!spell || spell.data.learned) return true
+        spell.data.studied = (spell.data.studied || 0) + seconds
+        const needed = (study.spells || 0) * CoC7Book.studyUnits.weeks
+        if (spell.data.studied < needed) {
+          await this.update({ 'data.spells': spells })
+          return false
+        }
+        spell.data.studied = 0
+        await this.update({ 'data.spells': spells })
+        await this.attemptSpellLearning(session.spellId)
+        return true
+      }
+    }
+    await this.update({ 'data.study.elapsed': elapsed })
+    return false
+  }
+
+  /**
+   * Stop the study session of the actor, the time already spent is kept
+   * @param {Actor} actor
+   * @param {boolean} completed false when the session was interrupted
+   */
+  static async interruptStudy (actor, completed = false) {
+    const session = actor?.getFlag('CoC7', 'study')
+    if (!session) return
+    await actor.unsetFlag('CoC7', 'study')
+    const book = actor.items.get(session.bookId)
+    if (!book) return
+    if (!completed) await book.advanceStudy(session, game.time.worldTime)
+    const hours = Math.round(
+      (Math.min(game.time.worldTime, session.end) - session.start) / 3600
+    )
+    await chatHelper.createMessage(
+      book.name,
+      game.i18n.format(
+        completed ? 'CoC7.StudySessionOver' : 'CoC7.StudySessionInterrupted',
+        { actor: actor.name, activity: session.label, hours: hours }
+      ),
+      { speaker: ChatMessage.getSpeaker({ actor: actor }) }
+    )
+  }
+
+  /**
+   * Count the study sessions time, called by the GM when the world time change
+   */
+  static async checkStudy () {
+    if (!game.user.isGM) return
+    const time = game.time.worldTime
+    const actors = game.actors.contents.concat(
+      (canvas?.tokens?.placeables || [])
+        .filter(token => token.actor && !token.data.actorLink)
+        .map(token => token.actor)
+    )
+    for (const actor of actors) {
+      const session = actor.getFlag('CoC7', 'study')
+      if (!session || time <= session.last) continue
+      const book = actor.items.get(session.bookId)
+      if (!book) {
+        await actor.unsetFlag('CoC7', 'study')
+        continue
+      }
+      const done = await book.advanceStudy(session, time)
+      if (done || time >= session.end) {
+        await CoC7Book.interruptStudy(actor, true)
+      } else {
+        await actor.setFlag('CoC7', 'study.last', time)
+      }
+    }
+  }
+
   /** Listen to changes on the check card */
   async updateRoll (roll) {
     const check = CoC7Check.fromRollString(roll)
@@ -1,5 +1,6 @@
-/* global $, duplicate, game, ItemSheet, mergeObject */
+/* global $, Dialog, duplicate, FormData, game, ItemSheet, mergeObject */
 import { CoC7Utilities } from '../../utilities.js'
+import { CoC7Book } from './data.js'
 
 export class CoC7BookSheet extends ItemSheet {
   static get defaultOptions () {
@@ -35,6 +36,18 @@ export class CoC7BookSheet extends ItemSheet {
 
     data.spellListEmpty = data.data.spells.length === 0
 
+    data.canStudy =
+      this.item.isOwned &&
+      this.item.isOwner &&
+      this.item.studyActivities.length > 0
+    const session = this.item.studySession
+    if (session) {
+      data.studySession = game.i18n.format('CoC7.StudySessionStatus', {
+        activity: session.label,
+        hours: Math.ceil(Math.max(0, session.end - game.time.worldTime) / 3600)
+      })
+    }
+
     return data
   }
 
@@ -83,6 +96,65 @@ export class CoC7BookSheet extends ItemSheet {
       this.modifyOthersGains(event, 'remove')
     })
     html.find('.option').click(event => this.modifyType(event))
+    html.find('#start-study').click(event => this._onStartStudy(event))
+    html.find('#interrupt-study').click(async event => {
+      event.preventDefault()
+      await CoC7Book.interruptStudy(this.item.actor)
+      this.render()
+    })
+  }
+
+  /**
+   * Ask for the activity and the length of a new study session
+   * @param {jQuery} event @see activateListeners
+   */
+  async _onStartStudy (event) {
+    event.preventDefault()
+    const activities = this.item.studyActivities
+    const options = activities
+      .map(
+        (activity, index) =>
+          `<option value="${index}">${activity.label}</option>`
+      )
+      .join('')
+    const units = Object.keys(CoC7Book.studyUnits)
+      .map(
+        unit =>
+          `<option value="${unit}">${game.i18n.localize(
+            `CoC7.${unit}`
+          )}</option>`
+      )
+      .join('')
+    const content = `<form id="studyform">
+      <div class="form-group"><label>${game.i18n.localize(
+        'CoC7.StudyActivity'
+      )}</label><select name="activity">${options}</select></div>
+      <div class="form-group"><label>${game.i18n.localize(
+        'CoC7.StudyDuration'
+      )}</label><input type="number" name="duration" value="1" min="1"/><select name="units">${units}</select></div>
+    </form>`
+    new Dialog({
+      title: game.i18n.localize('CoC7.StudySession'),
+      content: content,
+      buttons: {
+        confirm: {
+          label: game.i18n.localize('CoC7.Validate'),
+          callback: async html => {
+            const formData = new FormData(html[0].querySelector('#studyform'))
+            const activity = activities[parseInt(formData.get('activity'))]
+            const duration = parseInt(formData.get('duration'))
+            if (!activity || isNaN(duration)) return
+            await this.item.startStudy(
+              activity,
+              duration,
+              formData.get('units')
+            )
+            this.render()
+          }
+        }
+      },
+      default: 'confirm'
+    }).render(true)
   }
 
   async _onSpellDetail (event) {
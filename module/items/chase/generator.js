@@ -0,0 +1,148 @@
+/* global CONFIG, foundry, game, MersenneTwister, Roll */
+
+import { CoC7Check } from '../../check.js'
+
+/**
+ * Build a chase track from the roll tables selected in the system settings.
+ * The same seed always draws the same results.
+ */
+export class CoC7ChaseGenerator {
+  constructor (seed) {
+    this.seed = String(seed)
+    this.twister = new MersenneTwister(CoC7ChaseGenerator.hash(this.seed))
+  }
+
+  static get settings () {
+    return {
+      environment: 'chaseEnvironmentTable',
+      obstacle: 'chaseObstacleTable',
+      check: 'chaseObstacleCheckTable',
+      difficulty: 'chaseObstacleDifficultyTable'
+    }
+  }
+
+  static newSeed () {
+    return foundry.utils.randomID(8)
+  }
+
+  /**
+   * Turn any string into a 32 bits integer usable as a seed.
+   */
+  static hash (seed) {
+    let hash = 0
+    for (let i = 0; i < seed.length; i++) {
+      hash = (hash << 5) - hash + seed.charCodeAt(i)
+      hash |= 0
+    }
+    return Math.abs(hash)
+  }
+
+  static getTable (key) {
+    const id = game.settings.get('CoC7', CoC7ChaseGenerator.settings[key])
+    if (!id || id === 'none') return null
+    return game.tables.get(id) || null
+  }
+
+  /**
+   * Obstacle results are written 'barrier: name' or 'hazard: name'.
+   * Any other result means there is no obstacle.
+   */
+  static parseObstacle (text) {
+    if (!text) return null
+    const [type, ...name] = text.split(':')
+    const key = type.trim().toLowerCase()
+    const barrier = [
+      'barrier',
+      game.i18n.localize('CoC7.ChaseBarrier').toLowerCase()
+    ].includes(key)
+    const hazard = [
+      'hazard',
+      game.i18n.localize('CoC7.ChaseHazard').toLowerCase()
+    ].includes(key)
+    if (!barrier && !hazard) return null
+    return {
+      barrier: barrier,
+      hazard: hazard,
+      name: name.join(':').trim()
+    }
+  }
+
+  static parseDifficulty (text) {
+    if (!text) return CoC7Check.difficultyLevel.regular
+    const key = text.trim().toLowerCase()
+    for (const [name, value] of Object.entries(CoC7Check.difficultyLevel)) {
+      if (
+        key === name ||
+        key ===
+          game.i18n
+            .localize(`CoC7.${name.capitalize()}Difficulty`)
+            .toLowerCase()
+      ) {
+        return value
+      }
+    }
+    return CoC7Check.difficultyLevel.regular
+  }
+
+  /**
+   * Draw a result from the table with the seeded generator.
+   * The roll is evaluated synchronously so no other roll can use the seeded generator.
+   * @param {RollTable} table
+   * @returns {String} the result text, null if nothing was drawn.
+   */
+  draw (table) {
+    if (!table) return null
+    const formula = table.data.formula || `1d${table.results.size}`
+    const randomUniform = CONFIG.Dice.randomUniform
+    let roll
+    CONFIG.Dice.randomUniform = () => this.twister.random()
+    try {
+      roll = new Roll(formula).evaluate({ async: false })
+    } finally {
+      CONFIG.Dice.randomUniform = randomUniform
+    }
+    const results = table.getResultsForRoll(roll.total)
+    if (!results.length) return null
+    return results[0].getChatText()
+  }
+
+  /**
+   * Generate a list of locations with their obstacles.
+   * @param {Number} total number of locations.
+   * @returns {Array} locations list as stored in the chase data.
+   */
+  generate (total) {
+    const tables = {}
+    for (const key of Object.keys(CoC7ChaseGenerator.settings)) {
+      tables[key] = CoC7ChaseGenerator.getTable(key)
+    }
+
+    const locations = []
+    for (let index = 0; index < total; index++) {
+      const location = {
+        uuid: foundry.utils.randomID(16),
+        name: this.draw(tables.environment) || ''
+      }
+      // The first location can not have an obstacle before it.
+      const obstacle =
+        index > 0
+          ? CoC7ChaseGenerator.parseObstacle(this.draw(tables.obstacle))
+          : null
+      if (obstacle) {
+        obstacle.checkName = this.draw(tables.check) || ''
+        obstacle.difficulty = CoC7ChaseGenerator.parseDifficulty(
+          this.draw(tables.difficulty)
+        )
+        location.obstacle = true
+        location.obstacleDetails = obstacle
+      }
+      locations.push(location)
+    }
+
+    if (!tables.environment && locations.length) {
+      locations[0].name = 'Start'
+      if (locations.length > 1) locations[locations.length - 1].name = 'End'
+    }
+    return locations
+  }
+}
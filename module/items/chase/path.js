@@ -0,0 +1,64 @@
+/**
+ * Map chase locations on a scene drawing.
+ * Each point of the drawing is a location when there are as many points as locations,
+ * otherwise locations are spread evenly along the drawing.
+ */
+export class CoC7ChasePath {
+  constructor (drawing) {
+    this.drawing = drawing
+  }
+
+  /**
+   * Drawing points in canvas coordinates.
+   */
+  get points () {
+    const data = this.drawing?.data
+    if (!data?.points?.length) return []
+    return data.points.map(p => {
+      return { x: data.x + p[0], y: data.y + p[1] }
+    })
+  }
+
+  get isValid () {
+    return this.points.length > 1
+  }
+
+  /**
+   * @param {Number} count number of locations.
+   * @returns {Array} canvas positions {x, y}, one per location.
+   */
+  positions (count) {
+    const points = this.points
+    if (count <= 0 || points.length < 2) return []
+    if (points.length === count) return points
+    if (count === 1) return [points[0]]
+
+    const segments = []
+    let length = 0
+    for (let i = 1; i < points.length; i++) {
+      const segmentLength = Math.hypot(
+        points[i].x - points[i - 1].x,
+        points[i].y - points[i - 1].y
+      )
+      segments.push({ from: points[i - 1], to: points[i], start: length })
+      length += segmentLength
+      segments[segments.length - 1].length = segmentLength
+    }
+
+    const positions = []
+    for (let index = 0; index < count; index++) {
+      const distance = (length * index) / (count - 1)
+      const segment =
+        segments.find(s => distance <= s.start + s.length) ||
+        segments[segments.length - 1]
+      const ratio = segment.length
+        ? (distance - segment.start) / segment.length
+        : 0
+      positions.push({
+        x: segment.from.x + (segment.to.x - segment.from.x) * ratio,
+        y: segment.from.y + (segment.to.y - segment.from.y) * ratio
+      })
+    }
+    return positions
+  }
+}
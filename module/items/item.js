@@ -1,7 +1,10 @@
-/* global CONFIG, duplicate, game, getProperty, Item, Roll, TextEditor, Token, ui */
+/* global ChatMessage, CONFIG, duplicate, game, getProperty, Item, Roll, TextEditor, Token, ui */
 import { CoC7Parser } from '../apps/parser.js'
 import { COC7 } from '../config.js'
 import { CoC7Utilities } from '../utilities.js'
+import { CoC7Check } from '../check.js'
+import { chatHelper } from '../chat/helper.js'
+import { CoC7Inventory } from '../actors/inventory.js'
 
 /**
  * Override and extend the basic :class:`Item` implementation
@@ -532,15 +535,33 @@ export class CoC7Item extends Item {
   }
 
   get baseRange () {
-    return parseInt(this.data.data.range.normal.value)
+    return this.ammoRange(this.data.data.range.normal.value)
   }
 
   get longRange () {
-    return parseInt(this.data.data.range.long.value)
+    return this.ammoRange(this.data.data.range.long.value)
   }
 
   get extremeRange () {
-    return parseInt(this.data.data.range.extreme.value)
+    return this.ammoRange(this.data.data.range.extreme.value)
+  }
+
+  /**
+   * Range multiplied by the one of the loaded ammunition.
+   */
+  ammoRange (value) {
+    const range = parseInt(value)
+    const multiplier = parseFloat(this.ammoModifiers?.range)
+    if (isNaN(range) || isNaN(multiplier) || multiplier <= 0) return range
+    return Math.round(range * multiplier)
+  }
+
+  /**
+   * Damage at a range, the loaded ammunition damage replaces the weapon's one.
+   * @param {String} range 'normal' || 'long' || 'extreme'
+   */
+  rangeDamage (range = 'normal') {
+    return this.ammoModifiers?.damage || this.data.data.range[range]?.damage
   }
 
   get skillProperties () {
@@ -690,12 +711,118 @@ export class CoC7Item extends Item {
     return this.data.data.ammo
   }
 
-  async reload () {
+  /**
+   * @param {String} ammoId ammunition item to load, when ammunition is taken from the inventory.
+   */
+  async reload (ammoId = null) {
     if (this.type !== 'weapon') return null
     const maxBullet = this.data.data.bullets
       ? parseInt(this.data.data.bullets)
       : 1
-    await this.setBullets(maxBullet)
+    if (this.usesAmmoItems) await this.loadAmmo(maxBullet, ammoId)
+    else await this.setBullets(maxBullet)
+  }
+
+  /**
+   * Ammunition is taken from the inventory when the ammo count is not disregarded
+   * and the weapon has a caliber.
+   */
+  get usesAmmoItems () {
+    if (this.type !== 'weapon' || !this.actor) return false
+    if (game.settings.get('CoC7', 'disregardAmmo')) return false
+    return !!this.data.data.caliber?.trim()
+  }
+
+  /**
+   * Ammunition items of the owner matching the weapon caliber.
+   */
+  get compatibleAmmo () {
+    if (this.type !== 'weapon' || !this.actor) return []
+    const caliber = this.data.data.caliber?.trim().toLowerCase()
+    if (!caliber) return []
+    return this.actor.items.filter(
+      item =>
+        item.type === 'item' &&
+        item.data.data.ammunition?.caliber?.trim().toLowerCase() === caliber
+    )
+  }
+
+  /**
+   * Modifiers of the ammunition loaded in the weapon.
+   * @returns {Object} {name, damage, impale, range} or null.
+   */
+  get ammoModifiers () {
+    if (!this.usesAmmoItems) return null
+    const loaded = this.data.data.loadedAmmo
+    return loaded?.name ? loaded : null
+  }
+
+  /**
+   * Load rounds taken from an ammunition item.
+   * Rounds of another type left in the weapon go back to their stack.
+   * @param {Number} count number of rounds to load.
+   * @param {String} ammoId ammunition item, the loaded type or the first one left by default.
+   * @returns {Promise<Boolean>} false if nothing was loaded.
+   */
+  async loadAmmo (count, ammoId = null) {
+    const compatible = this.compatibleAmmo
+    const loaded = this.data.data.loadedAmmo?.name
+    const left = compatible.filter(item => CoC7Inventory.quantity(item) > 0)
+    const ammo = ammoId
+      ? compatible.find(item => item.id === ammoId)
+      : left.find(item => item.name === loaded) || left[0]
+    if (!ammo || CoC7Inventory.quantity(ammo) <= 0) {
+      ui.notifications.warn(
+        game.i18n.format('CoC7.WarnNoAmmo', {
+          weapon: this.name,
+          caliber: this.data.data.caliber
+        })
+      )
+      return false
+    }
+
+    let bullets = this.getBulletLeft()
+    if (bullets && ammo.name !== loaded) {
+      await this.unload()
+      bullets = 0
+    }
+    const maxBullets = this.data.data.bullets
+      ? parseInt(this.data.data.bullets)
+      : 1
+    const quantity = CoC7Inventory.quantity(ammo)
+    const taken = Math.min(count, maxBullets - bullets, quantity)
+    if (taken <= 0) return false
+    await ammo.update({ 'data.quantity': quantity - taken })
+    const modifiers = ammo.data.data.ammunition
+    await this.update({
+      'data.ammo': bullets + taken,
+      'data.loadedAmmo': {
+        name: ammo.name,
+        damage: modifiers.damage,
+        impale: modifiers.impale,
+        range: modifiers.range
+      }
+    })
+    return true
+  }
+
+  /**
+   * Empty the weapon, the rounds go back to their ammunition item.
+   */
+  async unload () {
+    if (this.type !== 'weapon') return null
+    const bullets = this.getBulletLeft()
+    if (this.usesAmmoItems && bullets) {
+      const ammo = this.compatibleAmmo.find(
+        item => item.name === this.data.data.loadedAmmo?.name
+      )
+      if (ammo) {
+        await ammo.update({
+          'data.quantity': CoC7Inventory.quantity(ammo) + bullets
+        })
+      }
+    }
+    await this.setBullets(0)
   }
 
   async setBullets (bullets) {
@@ -705,6 +832,7 @@ export class CoC7Item extends Item {
 
   async addBullet () {
     if (this.type !== 'weapon') return null
+    if (this.usesAmmoItems) return await this.loadAmmo(1)
     const bullets = await this.getBulletLeft()
     const maxBullets = this.data.data.bullets
       ? parseInt(this.data.data.bullets)
@@ -720,6 +848,95 @@ export class CoC7Item extends Item {
     else await this.setBullets(bullets - x)
   }
 
+  get jammed () {
+    if (this.type !== 'weapon') return false
+    return !!this.data.data.flags?.[CoC7Item.flags.malfunction]
+  }
+
+  /**
+   * Mark the weapon as jammed after a malfunction.
+   * @param {Number} result the roll that caused the malfunction.
+   */
+  async jam (result = null) {
+    if (this.type !== 'weapon') return null
+    await this.update({
+      [`data.flags.${CoC7Item.flags.malfunction}`]: true,
+      'data.jams': this.jamHistory({ jammed: true, result: result })
+    })
+  }
+
+  /**
+   * Clear a jammed weapon. It takes 1D6 rounds, a Mechanical Repair check
+   * clears it in a single round but can fail.
+   * @param {String} method 'time' || 'repair'
+   * @returns {Promise<Boolean>} true if the weapon is cleared.
+   */
+  async clearJam (method = 'time') {
+    if (!this.jammed) return false
+    let rounds = 1
+    let check = null
+    if (method === 'repair') {
+      const skill = this.actor?.find(
+        game.i18n.localize('CoC7.MechanicalRepairSkillName')
+      )?.value
+      if (!skill) {
+        ui.notifications.warn(
+          game.i18n.format('CoC7.ErrorNotFoundForActor', {
+            missing: game.i18n.localize('CoC7.MechanicalRepairSkillName'),
+            actor: this.actor?.name
+          })
+        )
+        return false
+      }
+      check = new CoC7Check()
+      check.actor = this.actor.actorKey
+      check.skill = skill
+      check.denyPush = true
+      check.denyLuck = true
+      await check.roll()
+      await check.toMessage()
+    } else {
+      rounds = (await new Roll('1D6').roll({ async: true })).total
+    }
+    const cleared = !check || check.passed
+    const entry = {
+      jammed: !cleared,
+      method: game.i18n.localize(
+        method === 'repair'
+          ? 'CoC7.MechanicalRepairSkillName'
+          : 'CoC7.ClearJamTime'
+      ),
+      rounds: rounds
+    }
+    const update = { 'data.jams': this.jamHistory(entry) }
+    if (cleared) update[`data.flags.${CoC7Item.flags.malfunction}`] = false
+    await this.update(update)
+    await chatHelper.createMessage(
+      this.name,
+      game.i18n.format(cleared ? 'CoC7.JamCleared' : 'CoC7.JamNotCleared', {
+        actor: this.actor?.name,
+        weapon: this.name,
+        rounds: rounds
+      }),
+      { speaker: ChatMessage.getSpeaker({ actor: this.actor }) }
+    )
+    return cleared
+  }
+
+  /**
+   * @returns {Array} the weapon jam history with the new entry, last 20 entries are kept.
+   */
+  jamHistory (entry) {
+    return [
+      ...(this.data.data.jams || []),
+      {
+        ...entry,
+        worldTime: game.time.worldTime,
+        date: new Date().toISOString()
+      }
+    ].slice(-20)
+  }
+
   static mergeOptionalSkills (skillList, options) {
     const jointArray = skillList.concat(options)
     return jointArray
@@ -897,7 +1114,28 @@ export class CoC7Item extends Item {
     return false
   }
 
+  /**
+   * Damage type of the weapon, used to pick the armor protection.
+   * @returns {String} a key of COC7.damageTypes.
+   */
+  get damageType () {
+    if (this.type !== 'weapon') return null
+    const properties = this.data.data.properties || {}
+    if (properties.burn) return 'fire'
+    if (properties.rngd && !properties.thrown) return 'bullets'
+    return properties.impl ? 'blades' : 'blunt'
+  }
+
+  get isArmor () {
+    if (this.type !== 'item') return false
+    const armor = this.data.data.armor
+    return Object.keys(COC7.damageTypes).some(type => !!armor?.[type])
+  }
+
   get impale () {
+    const impale = this.ammoModifiers?.impale
+    if (impale === 'yes') return true
+    if (impale === 'no') return false
     return this.data.data.properties.impl
   }
 
@@ -1,9 +1,14 @@
-/* global $, Dialog, DragDrop, duplicate, expandObject, flattenObject, FormDataExtended, foundry, game, getType, ItemSheet, mergeObject, ui */
+/* global $, canvas, Dialog, DragDrop, duplicate, expandObject, flattenObject, FormDataExtended, foundry, game, getType, ItemSheet, mergeObject, Roll, ui */
 
 import { CoCActor } from '../../actors/actor.js'
+import { ChaseConflictDialog } from '../../apps/chase-conflict-dialog.js'
 import { CoC7Chat } from '../../chat.js'
+import { CoC7MeleeInitiator } from '../../chat/combat/melee-initiator.js'
 import { chatHelper } from '../../chat/helper.js'
+import { CoC7RangeInitiator, CoC7RangeTarget } from '../../chat/rangecombat.js'
 import { CoC7Check } from '../../check.js'
+import { CoC7ChaseGenerator } from '../chase/generator.js'
+import { CoC7ChasePath } from '../chase/path.js'
 
 export class CoC7ChaseSheet extends ItemSheet {
   // constructor( ...args) {
@@ -123,6 +128,15 @@ export class CoC7ChaseSheet extends ItemSheet {
     data.nextLocation = this.nextLocation
     data.started = this.started
     data.dataListCheckOptions = this.allSkillsAndCharacteristics
+    data.difficultyOptions = {
+      [CoC7Check.difficultyLevel.regular]: 'CoC7.RegularDifficulty',
+      [CoC7Check.difficultyLevel.hard]: 'CoC7.HardDifficulty',
+      [CoC7Check.difficultyLevel.extreme]: 'CoC7.ExtremeDifficulty'
+    }
+    data.isBound = this.isBound
+    data.round = this.round
+    data.activeParticipant = this.activeParticipant
+    data.chaseLog = this.chaseLog
 
     data.isKeeper = game.user.isGM
     return data
@@ -244,6 +258,8 @@ export class CoC7ChaseSheet extends ItemSheet {
 
           if (undefined !== p) {
             l.participants[i] = new _participant(p) // replace uuid with _participant
+            l.participants[i].active =
+              p.uuid === this.item.data.data.activeParticipant
           } else {
             // participants.push( null)
             console.error(
@@ -399,6 +415,7 @@ export class CoC7ChaseSheet extends ItemSheet {
       await this.updateParticipants(participants)
       await this.updateLocationsList(this.locations)
       await this.item.setFlag('CoC7', CoC7ChaseSheet.flags.started, true)
+      await this.moveTokens()
     }
   }
 
@@ -895,12 +912,22 @@ export class CoC7ChaseSheet extends ItemSheet {
         }
 
         break
+      case 'generate':
+        if (
+          !isNaN(this.item.data.data.locations.total) &&
+          this.item.data.data.locations.total > 0
+        ) {
+          await this.generateTrack(this.item.data.data.locations.total)
+        }
+        break
+
       case 'reset':
         Dialog.confirm({
           title: `${game.i18n.localize('CoC7.ConfirmResetChase')}`,
           content: `<p>${game.i18n.localize('CoC7.ConfirmResetChaseHint')}</p>`,
           yes: async () => {
             await this.updateLocationsList([])
+            await this.resetRounds()
             await this.item.unsetFlag('CoC7', CoC7ChaseSheet.flags.started)
           }
         })
@@ -926,11 +953,48 @@ export class CoC7ChaseSheet extends ItemSheet {
               if (locations[i].participants) locations[i].participants = []
             }
             await this.updateLocationsList(locations)
+            await this.resetRounds()
             await this.item.unsetFlag('CoC7', CoC7ChaseSheet.flags.started)
           }
         })
         break
 
+      case 'start-round':
+        await this.startRound()
+        break
+
+      case 'move-forward':
+        await this.moveForward(target.dataset.participant, {
+          standby: !event.shiftKey
+        })
+        break
+
+      case 'conflict':
+        await this.conflict(target.dataset.participant, {
+          fastForward: event.shiftKey
+        })
+        break
+
+      case 'end-turn':
+        await this.endTurn(target.dataset.participant)
+        break
+
+      case 'resolve-obstacle':
+        await this.resolveObstacle(target.dataset.participant)
+        break
+
+      case 'bind-drawing':
+        await this.bindToDrawing()
+        break
+
+      case 'unbind-drawing':
+        await this.unbindDrawing()
+        break
+
+      case 'replay-log':
+        await this.replayLog()
+        break
+
       default:
         break
     }
@@ -1126,8 +1190,11 @@ export class CoC7ChaseSheet extends ItemSheet {
     const participant = {}
     const actor = chatHelper.getActorFromKey(actorKey)
     if (actor) {
-      if (actor.data.type === 'vehicle') participant.vehicleKey = actorKey
-      else participant.actorKey = actorKey
+      if (actor.data.type === 'vehicle') {
+        participant.vehicleKey = actorKey
+        // The vehicle driver, if any, drives in the chase.
+        if (actor.driver) participant.actorKey = actor.driver.actorKey
+      } else participant.actorKey = actorKey
     }
 
     switch (data.type?.toLowerCase()) {
@@ -1236,7 +1303,10 @@ export class CoC7ChaseSheet extends ItemSheet {
       } else {
         participant.speedCheck = {
           type: 'item',
-          name: game.i18n.localize('CoC7.DriveAutoSkillName')
+          name:
+            actor?.data.type === 'vehicle'
+              ? actor.drivingSkillName
+              : game.i18n.localize('CoC7.DriveAutoSkillName')
         }
       }
     }
@@ -1266,6 +1336,14 @@ export class CoC7ChaseSheet extends ItemSheet {
         participants[index].speedCheck.rollDataString = roll.JSONRollString
         await this.item.update({ 'data.participants': participants })
       }
+      const obstacleIndex = participants.findIndex(
+        p => p.obstacleCheck?.rollUuid === roll.uuid
+      )
+      if (obstacleIndex >= 0) {
+        participants[obstacleIndex].obstacleCheck.rollDataString =
+          roll.JSONRollString
+        await this.item.update({ 'data.participants': participants })
+      }
     } else {
       const data = {
         data: rollString,
@@ -1314,6 +1392,682 @@ export class CoC7ChaseSheet extends ItemSheet {
     origin.participants = oldParticipantsList
 
     await this.updateLocationsList(locations)
+    await this.moveTokens([participantUuid])
+  }
+
+  /* -------------------------------------------- */
+  /*  Scene path                                  */
+  /* -------------------------------------------- */
+
+  get scenePath () {
+    const path = this.item.data.data.path
+    if (!path?.scene || !path?.drawing) return undefined
+    const scene = game.scenes.get(path.scene)
+    const drawing = scene?.drawings.get(path.drawing)
+    if (!drawing) return undefined
+    return { scene: scene, path: new CoC7ChasePath(drawing) }
+  }
+
+  get isBound () {
+    return !!this.scenePath
+  }
+
+  async bindToDrawing () {
+    const drawing = canvas.drawings?.controlled[0]
+    if (!drawing) {
+      ui.notifications.warn(game.i18n.localize('CoC7.ChaseSelectDrawing'))
+      return
+    }
+    if (!new CoC7ChasePath(drawing.document).isValid) {
+      ui.notifications.warn(game.i18n.localize('CoC7.ChaseDrawingNoPoints'))
+      return
+    }
+    await this.item.update({
+      'data.path': { scene: canvas.scene.id, drawing: drawing.id }
+    })
+    if (this.started) await this.moveTokens()
+  }
+
+  async unbindDrawing () {
+    await this.item.update({ 'data.path': { scene: '', drawing: '' } })
+  }
+
+  /**
+   * Find the participant token on the scene, the vehicle token for vehicles.
+   */
+  findToken (participant, scene) {
+    const actor = participant.vehicle || participant.actor
+    if (!actor) return undefined
+    if (actor.isToken) {
+      return actor.token?.parent?.id === scene.id ? actor.token : undefined
+    }
+    return scene.tokens.find(t => t.data.actorId === actor.id)
+  }
+
+  /**
+   * Move the tokens to their location on the scene path.
+   * @param {Array} uuids participants to move, all of them if omitted.
+   */
+  async moveTokens (uuids = null) {
+    if (!game.user.isGM) return
+    const scenePath = this.scenePath
+    if (!scenePath) return
+    const { scene, path } = scenePath
+    const locations = this.item.data.data.locations.list
+    const positions = path.positions(locations.length)
+    if (!positions.length) return
+    const gridSize = scene.data.grid
+    const updates = []
+    locations.forEach((location, index) => {
+      if (!location.participants) return
+      location.participants.forEach((uuid, rank) => {
+        if (uuids && !uuids.includes(uuid)) return
+        const data = this.item.data.data.participants.find(p => p.uuid === uuid)
+        if (!data) return
+        const token = this.findToken(new _participant(data), scene)
+        if (!token) return
+        // Stack participants of the same location.
+        updates.push({
+          _id: token.id,
+          x:
+            positions[index].x -
+            (token.data.width * gridSize) / 2 +
+            (rank * gridSize) / 2,
+          y: positions[index].y - (token.data.height * gridSize) / 2
+        })
+      })
+    })
+    if (updates.length) {
+      await scene.updateEmbeddedDocuments('Token', updates)
+    }
+  }
+
+  /**
+   * Build the track from the chase roll tables.
+   * Without a seed a new one is saved so the same track can be generated again.
+   */
+  async generateTrack (total) {
+    let seed = this.item.data.data.seed
+    if (!seed) {
+      seed = CoC7ChaseGenerator.newSeed()
+      await this.item.update({ 'data.seed': seed })
+    }
+    const generator = new CoC7ChaseGenerator(seed)
+    await this.updateLocationsList(generator.generate(total))
+  }
+
+  /* -------------------------------------------- */
+  /*  Chase rounds                                */
+  /* -------------------------------------------- */
+
+  get round () {
+    return this.item.data.data.round || 0
+  }
+
+  get activeParticipant () {
+    const uuid = this.item.data.data.activeParticipant
+    if (!uuid) return undefined
+    return this.participants.find(p => p.uuid === uuid)
+  }
+
+  get turnOrder () {
+    return this.getTurnOrder()
+  }
+
+  /**
+   * Participants still on the track, ordered by DEX (highest first).
+   * @param {Array} list participants data, defaults to the item participants.
+   * @returns {Array} list of _participant
+   */
+  getTurnOrder (list = this.item.data.data.participants) {
+    const locations = this.item.data.data.locations.list || []
+    return list
+      .map(p => new _participant(p))
+      .filter(
+        p =>
+          !p.isEliminated &&
+          locations.some(l => l.participants?.includes(p.uuid))
+      )
+      .sort((a, b) => b.dex - a.dex)
+  }
+
+  get chaseLog () {
+    return (this.item.data.data.log || []).map(e => {
+      return {
+        round: e.round,
+        type: e.type,
+        text: this.formatLogEntry(e)
+      }
+    })
+  }
+
+  findParticipantLocationIndex (uuid) {
+    return this.item.data.data.locations.list.findIndex(l =>
+      l.participants?.includes(uuid)
+    )
+  }
+
+  /**
+   * Find what an obstacle check name refers to for a given actor.
+   * Accept names from the check datalist, i.e. 'Characteristics (STR)'.
+   */
+  findCheckReference (actor, checkName) {
+    if (!actor || !checkName) return undefined
+    const ref = actor.find(checkName)
+    if (ref) return ref
+    const matches = /\(([^)]+)\)/.exec(checkName)
+    if (matches?.length) return actor.find(matches[1])
+    return undefined
+  }
+
+  createLogEntry (type, { participant, location, value, passed, round } = {}) {
+    const entry = {
+      type: type,
+      round: typeof round === 'undefined' ? this.round : round,
+      timestamp: Date.now()
+    }
+    if (participant) {
+      entry.participant = participant.uuid
+      entry.name = participant.name
+    }
+    if (location) {
+      entry.location = location.uuid
+      entry.locationName = location.name || ''
+    }
+    if (typeof value !== 'undefined') entry.value = value
+    if (typeof passed !== 'undefined') entry.passed = passed
+    return entry
+  }
+
+  formatLogEntry (entry) {
+    return game.i18n.format(`CoC7.ChaseLog.${entry.type}`, {
+      round: entry.round,
+      name: entry.name || '',
+      location: entry.locationName || '-',
+      value: entry.value ?? ''
+    })
+  }
+
+  async postLogEntries (log, round = null) {
+    if (!log?.length) return
+    const content = log.map(e => `<p>${this.formatLogEntry(e)}</p>`).join('')
+    const title = round
+      ? `${this.item.name} - ${game.i18n.localize('CoC7.ChaseRound')} ${round}`
+      : this.item.name
+    await chatHelper.createMessage(title, content)
+  }
+
+  /**
+   * Save chase state in a single update, append the entries to the log and post them to chat.
+   */
+  async updateChase ({
+    participants,
+    round,
+    activeParticipant,
+    log = []
+  } = {}) {
+    const updateData = {}
+    if (participants) updateData['data.participants'] = participants
+    if (typeof round !== 'undefined') updateData['data.round'] = round
+    if (typeof activeParticipant !== 'undefined') {
+      updateData['data.activeParticipant'] = activeParticipant
+    }
+    if (log.length) {
+      updateData['data.log'] = (this.item.data.data.log || []).concat(log)
+    }
+    await this.item.update(updateData)
+    await this.postLogEntries(log)
+  }
+
+  /**
+   * Return the participant that should act next. A participant which has no movement action left has finished its turn.
+   * If nobody can act the round ends.
+   */
+  nextTurn (participants, log, round = this.round) {
+    const next = this.getTurnOrder(participants).find(
+      p => p.currentMovementAction > 0
+    )
+    if (next) {
+      log.push(
+        this.createLogEntry('turnStart', {
+          participant: next,
+          value: next.currentMovementAction,
+          round: round
+        })
+      )
+      return next.uuid
+    }
+    log.push(this.createLogEntry('roundEnd', { round: round }))
+    return ''
+  }
+
+  async startRound () {
+    const round = this.round + 1
+    const participants = duplicate(this.item.data.data.participants)
+    const order = this.getTurnOrder(participants)
+    if (!order.length) {
+      ui.notifications.warn(game.i18n.localize('CoC7.ChaseNoParticipants'))
+      return
+    }
+    const log = [this.createLogEntry('roundStart', { round: round })]
+    participants.forEach(p => {
+      if (!order.find(o => o.uuid === p.uuid)) return
+      const participant = new _participant(p)
+      if (participant.isWrecked) {
+        p.eliminated = true
+        log.push(this.createLogEntry('wrecked', { participant, round }))
+        return
+      }
+      // Lost actions carry over to the next round.
+      const deficit = Math.min(0, p.currentMovementAction || 0)
+      p.currentMovementAction = (p.movementAction || 1) + deficit
+      delete p.obstacleCheck
+    })
+    const activeParticipant = this.nextTurn(participants, log, round)
+    await this.updateChase({ participants, round, activeParticipant, log })
+  }
+
+  async endTurn (participantUuid) {
+    const participants = duplicate(this.item.data.data.participants)
+    const participant = participants.find(p => p.uuid === participantUuid)
+    if (!participant) return
+    participant.currentMovementAction = Math.min(
+      0,
+      participant.currentMovementAction || 0
+    )
+    const log = [
+      this.createLogEntry('turnEnd', {
+        participant: new _participant(participant)
+      })
+    ]
+    const activeParticipant = this.nextTurn(participants, log)
+    await this.updateChase({ participants, activeParticipant, log })
+  }
+
+  async spendMovementActions (participantUuid, cost, log = []) {
+    const participants = duplicate(this.item.data.data.participants)
+    const participant = participants.find(p => p.uuid === participantUuid)
+    if (!participant) return
+    participant.currentMovementAction =
+      (participant.currentMovementAction || 0) - cost
+    const update = { participants, log }
+    if (
+      participant.currentMovementAction <= 0 &&
+      this.item.data.data.activeParticipant === participantUuid
+    ) {
+      update.activeParticipant = this.nextTurn(participants, log)
+    }
+    await this.updateChase(update)
+  }
+
+  /**
+   * Spend one movement action to move to the next location.
+   * If an obstacle stands before the next location a check is rolled first.
+   */
+  async moveForward (participantUuid, options = {}) {
+    const participant = this.participants.find(p => p.uuid === participantUuid)
+    if (!participant) return
+    if (participant.currentMovementAction <= 0) {
+      ui.notifications.warn(
+        game.i18n.format('CoC7.ChaseNoMovementAction', {
+          name: participant.name
+        })
+      )
+      return
+    }
+    if (participant.obstacleCheck) {
+      ui.notifications.warn(game.i18n.localize('CoC7.ChaseObstaclePending'))
+      return
+    }
+    const locations = this.item.data.data.locations.list
+    const index = this.findParticipantLocationIndex(participantUuid)
+    if (index === -1) return
+    if (index === locations.length - 1) {
+      if (participant.isChaser) {
+        ui.notifications.warn(game.i18n.localize('CoC7.ChaseEndOfTrack'))
+        return
+      }
+      await this.escape(participant)
+      return
+    }
+    const destination = locations[index + 1]
+    if (destination.obstacle && destination.obstacleDetails?.checkName) {
+      await this.rollObstacleCheck(participant, destination, options)
+      return
+    }
+    await this.advance(participant, destination)
+  }
+
+  async advance (participant, destination, { cost = 1, log = [] } = {}) {
+    // Preys already there before the chaser arrives.
+    const caught = participant.isChaser
+      ? (destination.participants || [])
+          .map(uuid => this.participants.find(p => p.uuid === uuid))
+          .filter(p => p && !p.isChaser && !p.isEliminated)
+      : []
+    await this.moveParticipant(participant.uuid, destination.uuid)
+    log.push(
+      this.createLogEntry('move', { participant, location: destination })
+    )
+    caught.forEach(p =>
+      log.push(
+        this.createLogEntry('catchUp', {
+          participant,
+          location: destination,
+          value: p.name
+        })
+      )
+    )
+    await this.spendMovementActions(participant.uuid, cost, log)
+  }
+
+  async escape (participant, log = []) {
+    await this.eliminate(participant, 'escape', log)
+  }
+
+  /**
+   * Remove a participant from the chase, i.e. escaped prey or wrecked vehicle.
+   * The chase ends when one side has nobody left.
+   */
+  async eliminate (participant, reason, log = []) {
+    const participants = duplicate(this.item.data.data.participants)
+    const data = participants.find(p => p.uuid === participant.uuid)
+    data.eliminated = true
+    log.push(this.createLogEntry(reason, { participant }))
+    const update = { participants, log }
+    if (
+      !participants.some(p => !p.chaser && !p.eliminated) ||
+      !participants.some(p => p.chaser && !p.eliminated)
+    ) {
+      log.push(this.createLogEntry('chaseEnd'))
+      update.activeParticipant = ''
+    } else if (this.item.data.data.activeParticipant === participant.uuid) {
+      update.activeParticipant = this.nextTurn(participants, log)
+    }
+    await this.updateChase(update)
+  }
+
+  async rollObstacleCheck (participant, location, { standby = true } = {}) {
+    const checkName = location.obstacleDetails.checkName
+    const ref = this.findCheckReference(participant.actor, checkName)
+    if (!ref) {
+      ui.notifications.warn(
+        game.i18n.format('CoC7.ChaseCheckNotFound', {
+          name: participant.name,
+          check: checkName
+        })
+      )
+      return
+    }
+
+    const check = new CoC7Check()
+    check.parent = this.item.uuid
+    check.actor = participant.actor.actorKey
+    check.difficulty =
+      location.obstacleDetails.difficulty || CoC7Check.difficultyLevel.regular
+    if (standby && participant.actor.player) {
+      check.standby = true
+      check.standbyText = 'CoC7.Chase'
+      check.standbyRightIcon = 'systems/CoC7/assets/icons/running-solid.svg'
+    }
+
+    const participants = duplicate(this.item.data.data.participants)
+    const index = this.findIndex(participants, participant.uuid)
+    participants[index].obstacleCheck = {
+      rollUuid: check.uuid,
+      location: location.uuid
+    }
+    await this.item.update({ 'data.participants': participants })
+
+    if (ref.type === 'characteristic') {
+      await check.rollCharacteristic(ref.value.key)
+    } else if (ref.type === 'attribute') {
+      await check.rollAttribute(ref.value.key)
+    } else {
+      check.skill = ref.value
+      await check.roll()
+    }
+    await check.toMessage()
+    participants[index].obstacleCheck.rollDataString = check.JSONRollString
+    await this.item.update({ 'data.participants': participants })
+  }
+
+  /**
+   * Apply the outcome of the obstacle check.
+   * A failed check deals the obstacle damage and costs the obstacle actions.
+   * Hazards are crossed anyway, a failed barrier holds the participant back.
+   */
+  async resolveObstacle (participantUuid) {
+    const participant = this.participants.find(p => p.uuid === participantUuid)
+    const pending = participant?.obstacleCheck
+    if (!pending) return
+    const roll = pending.rollDataString
+      ? CoC7Check.fromRollString(pending.rollDataString)
+      : null
+    if (!roll || roll.standby) {
+      ui.notifications.warn(game.i18n.localize('CoC7.ChaseObstacleNotRolled'))
+      return
+    }
+    const location = this.item.data.data.locations.list.find(
+      l => l.uuid === pending.location
+    )
+    if (!location) return
+    const details = location.obstacleDetails || {}
+    const type = details.barrier ? 'barrier' : 'hazard'
+    const log = [
+      this.createLogEntry(`${type}${roll.passed ? 'Passed' : 'Failed'}`, {
+        participant,
+        location,
+        value: details.name || '',
+        passed: roll.passed
+      })
+    ]
+
+    let actionLoss = 0
+    if (roll.failed) {
+      if (details.hasDamage && details.failedCheckDamage) {
+        const damageRoll = await new Roll(
+          String(details.failedCheckDamage)
+        ).roll({ async: true })
+        const target = participant.vehicle || participant.actor
+        if (target) {
+          await target.dealDamage(damageRoll.total, {
+            buildDamage: participant.hasVehicle
+          })
+        }
+        log.push(
+          this.createLogEntry('damage', {
+            participant,
+            location,
+            value: damageRoll.total
+          })
+        )
+      }
+      if (details.hasActionCost && details.failedActionCost) {
+        const costRoll = await new Roll(String(details.failedActionCost)).roll({
+          async: true
+        })
+        actionLoss = costRoll.total
+        log.push(
+          this.createLogEntry('actionLoss', {
+            participant,
+            location,
+            value: actionLoss
+          })
+        )
+      }
+    }
+
+    const participants = duplicate(this.item.data.data.participants)
+    delete participants[this.findIndex(participants, participantUuid)]
+      .obstacleCheck
+    await this.item.update({ 'data.participants': participants })
+
+    if (roll.passed || type === 'hazard') {
+      await this.advance(participant, location, {
+        cost: 1 + actionLoss,
+        log
+      })
+    } else await this.spendMovementActions(participantUuid, 1 + actionLoss, log)
+  }
+
+  /**
+   * Participants close enough to be attacked, in the same or an adjacent location.
+   */
+  conflictOpponents (participantUuid) {
+    const locations = this.item.data.data.locations.list
+    const index = this.findParticipantLocationIndex(participantUuid)
+    if (index === -1) return []
+    const uuids = locations
+      .slice(Math.max(0, index - 1), index + 2)
+      .flatMap(l => l.participants || [])
+    return this.participants.filter(
+      p =>
+        p.uuid !== participantUuid &&
+        uuids.includes(p.uuid) &&
+        !p.isEliminated &&
+        p.isActor
+    )
+  }
+
+  conflictWeapons (participant) {
+    const weapons = []
+    for (const actor of [participant.actor, participant.vehicle]) {
+      if (!actor) continue
+      actor.items
+        .filter(i => i.type === 'weapon')
+        .forEach(w =>
+          weapons.push({
+            name:
+              actor === participant.vehicle
+                ? `${w.name} (${actor.name})`
+                : w.name,
+            actorKey: actor.actorKey,
+            itemId: w.id,
+            ranged: !!w.data.data.properties?.rngd
+          })
+        )
+    }
+    return weapons
+  }
+
+  /**
+   * Spend a movement action to attack another participant.
+   * Start a melee or range combat card between both participants.
+   */
+  async conflict (participantUuid, options = {}) {
+    const participant = this.participants.find(p => p.uuid === participantUuid)
+    if (!participant) return
+    if (participant.currentMovementAction <= 0) {
+      ui.notifications.warn(
+        game.i18n.format('CoC7.ChaseNoMovementAction', {
+          name: participant.name
+        })
+      )
+      return
+    }
+    const opponents = this.conflictOpponents(participantUuid)
+    if (!opponents.length) {
+      ui.notifications.warn(game.i18n.localize('CoC7.ChaseNoOpponent'))
+      return
+    }
+    const weapons = this.conflictWeapons(participant)
+    if (!weapons.length) {
+      ui.notifications.warn(
+        game.i18n.format('CoC7.ChaseNoWeapon', { name: participant.name })
+      )
+      return
+    }
+    const formData = await ChaseConflictDialog.create(
+      participant,
+      opponents,
+      weapons
+    )
+    if (!formData) return
+    const opponent = opponents.find(o => o.uuid === formData.get('target'))
+    const weapon = weapons[Number(formData.get('weapon'))]
+    if (!opponent || !weapon) return
+
+    if (weapon.ranged) {
+      const card = new CoC7RangeInitiator(
+        weapon.actorKey,
+        weapon.itemId,
+        options.fastForward
+      )
+      const target = new CoC7RangeTarget(opponent.key)
+      target.active = true
+      card.targets = [target]
+      await card.createChatCard()
+    } else {
+      const card = new CoC7MeleeInitiator(
+        weapon.actorKey,
+        weapon.itemId,
+        options.fastForward
+      )
+      card.targetKey = opponent.key
+      await card.createChatCard()
+    }
+
+    const log = [
+      this.createLogEntry('conflict', {
+        participant,
+        value: opponent.name
+      })
+    ]
+    await this.spendMovementActions(participantUuid, 1, log)
+  }
+
+  /**
+   * Eliminate the vehicle from any running chase once it is wrecked.
+   */
+  static async onUpdateActor (actor) {
+    if (!game.user.isGM) return
+    if (actor.data.type !== 'vehicle' || actor.hp > 0) return
+    const chases = game.items.filter(
+      i =>
+        i.data.type === 'chase' &&
+        i.getFlag('CoC7', CoC7ChaseSheet.flags.started)
+    )
+    for (const chase of chases) {
+      const participant = chase.sheet.participants.find(
+        p =>
+          !p.isEliminated &&
+          p.hasVehicle &&
+          p.vehicle.actorKey === actor.actorKey
+      )
+      if (participant) await chase.sheet.eliminate(participant, 'wrecked')
+    }
+  }
+
+  async resetRounds () {
+    const participants = duplicate(this.item.data.data.participants)
+    participants.forEach(p => {
+      delete p.currentMovementAction
+      delete p.obstacleCheck
+      delete p.eliminated
+    })
+    await this.item.update({
+      'data.participants': participants,
+      'data.round': 0,
+      'data.activeParticipant': '',
+      'data.log': []
+    })
+  }
+
+  /**
+   * Post the whole chase log to chat, round by round.
+   */
+  async replayLog () {
+    const log = this.item.data.data.log || []
+    const rounds = []
+    for (const entry of log) {
+      const last = rounds[rounds.length - 1]
+      if (last && last[0].round === entry.round) last.push(entry)
+      else rounds.push([entry])
+    }
+    for (const entries of rounds) {
+      await this.postLogEntries(entries, entries[0].round)
+    }
   }
 }
 
@@ -1549,12 +2303,38 @@ export class _participant {
     return this.data.movementAction
   }
 
+  get currentMovementAction () {
+    return this.data.currentMovementAction || 0
+  }
+
+  get isEliminated () {
+    return !!this.data.eliminated
+  }
+
+  get isWrecked () {
+    return this.hasVehicle && this.vehicle.hp <= 0
+  }
+
+  get obstacleCheck () {
+    if (!this.data.obstacleCheck) return undefined
+    const check = duplicate(this.data.obstacleCheck)
+    if (check.rollDataString) {
+      const roll = CoC7Check.fromRollString(check.rollDataString)
+      if (roll && (!roll.standby || roll.hasCard)) {
+        check.rolled = !roll.standby
+        check.inlineRoll = roll.inlineCheck.outerHTML
+      }
+    }
+    return check
+  }
+
   get cssClass () {
     const cssClasses = []
     if (this.isChaser) cssClasses.push('chaser')
     else cssClasses.push('prey')
     if (this.data.excluded) cssClasses.push('excluded', 'too_slow')
     if (this.data.escaped) cssClasses.push('escaped')
+    if (this.data.eliminated) cssClasses.push('eliminated')
     if (this.data.fastest) cssClasses.push('fastest')
     if (this.data.slowest) cssClasses.push('slowest')
     return cssClasses.join(' ')
@@ -1,6 +1,7 @@
 /* global game, ItemSheet, mergeObject */
 
 import { COC7 } from '../../config.js'
+import { CoC7HitLocation } from '../../chat/combat/hit-location.js'
 
 /**
  * Extend the basic ItemSheet with some very simple modifications
@@ -82,6 +83,32 @@ export class CoC7ItemSheetV2 extends ItemSheet {
         !this.item.data.data.properties.fighting
     }
 
+    if (this.item.data.type === 'item') {
+      data.worldEra = game.settings.get('CoC7', 'worldEra')
+      data.eraName = COC7.eras[data.worldEra]
+      data.price = this.item.data.data.price?.[data.worldEra] || 0
+      data.damageTypes = Object.entries(COC7.damageTypes).map(
+        ([key, label]) => {
+          return {
+            key: key,
+            label: label,
+            value: this.item.data.data.armor?.[key]
+          }
+        }
+      )
+      if (CoC7HitLocation.enabled) {
+        data.hitLocations = Object.entries(COC7.hitLocations).map(
+          ([key, location]) => {
+            return {
+              key: key,
+              label: location.label,
+              covered: !!this.item.data.data.armor?.locations?.[key]
+            }
+          }
+        )
+      }
+    }
+
     data.isKeeper = game.user.isGM
     return data
   }
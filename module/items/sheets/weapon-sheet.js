@@ -2,6 +2,7 @@
 
 import { COC7 } from '../../config.js'
 import { CoCActor } from '../../actors/actor.js'
+import { CoC7Inventory } from '../../actors/inventory.js'
 
 /**
  * Extend the basic ItemSheet with some very simple modifications
@@ -105,6 +106,20 @@ export class CoC7WeaponSheet extends ItemSheet {
       this.item.data.data.properties.brst === true ||
       this.item.data.data.properties.thrown === true
 
+    data.usesAmmoItems = this.item.usesAmmoItems
+    if (data.usesAmmoItems) {
+      data.compatibleAmmo = this.item.compatibleAmmo.map(ammo => {
+        return {
+          id: ammo.id,
+          name: ammo.name,
+          quantity: CoC7Inventory.quantity(ammo),
+          loaded:
+            !!this.item.data.data.ammo &&
+            ammo.name === this.item.data.data.loadedAmmo?.name
+        }
+      })
+    }
+
     data.isKeeper = game.user.isGM
     return data
   }
@@ -122,6 +137,13 @@ export class CoC7WeaponSheet extends ItemSheet {
     if (!this.options.editable) return
     html.find('.toggle-switch').click(this._onClickToggle.bind(this))
     html.find('.weapon-property').click(this._onPropertyClick.bind(this))
+    html.find('.load-ammo').click(this._onLoadAmmo.bind(this))
+  }
+
+  async _onLoadAmmo (event) {
+    event.preventDefault()
+    const ammoId = event.currentTarget.closest('li').dataset.ammoId
+    await this.item.reload(ammoId)
   }
 
   /**
@@ -1,8 +1,12 @@
-/* global ChatMessage, Dialog, game, mergeObject, Roll, renderTemplate, ui */
+/* global canvas, ChatMessage, CONFIG, Dialog, game, mergeObject, Roll, renderTemplate, ui */
 
 import { CoC7Utilities } from '../../utilities.js'
+import { CoC7Check } from '../../check.js'
+import { chatHelper } from '../../chat/helper.js'
 import { CoC7Item } from '../item.js'
+import { CoC7Book } from '../book/data.js'
 import { SanCheckCard } from '../../chat/cards/san-check.js'
+import { CoC7SpellEffects } from './effects.js'
 
 export class CoC7Spell extends CoC7Item {
   constructor (data, context) {
@@ -18,6 +22,128 @@ export class CoC7Spell extends CoC7Item {
       /** This is not owned by any Actor */
       return ui.notifications.error(game.i18n.localize('CoC7.NotOwned'))
     }
+    const casting = await this.rollCasting()
+    if (casting && !casting.passed && !casting.pushed) {
+      return ui.notifications.info(
+        game.i18n.format('CoC7.SpellCastingFailed', { spell: this.name })
+      )
+    }
+    const losses = await this.payCosts()
+    if (!losses) return
+    if (casting && !casting.passed) {
+      /** A failed pushed casting still costs and goes wrong */
+      await this.rollFailureConsequence()
+      return await this.toCastMessage({
+        losses,
+        notice: game.i18n.format('CoC7.SpellPushFailed', { spell: this.name })
+      })
+    }
+    if (casting) {
+      await this.update({
+        'data.casts': (parseInt(this.data.data.casts) || 0) + 1
+      })
+    }
+    const targets = [...game.user.targets]
+      .map(token => token.actor)
+      .filter(actor => actor)
+    const duration = await CoC7Spell.parseCastingTime(
+      this.data.data.castingTime
+    )
+    if (duration) {
+      await this.startRitual(targets, duration)
+      return await this.toCastMessage({
+        losses,
+        notice: game.i18n.format('CoC7.RitualStarted', {
+          spell: this.name,
+          time: this.data.data.castingTime
+        })
+      })
+    }
+    return await this.completeCasting(targets, losses)
+  }
+
+  /**
+   * Resolve the spell effects on the targets and post the casting card.
+   */
+  async completeCasting (targets, losses = []) {
+    let results = []
+    if (this.data.data.effects?.length && targets.length) {
+      results = await CoC7SpellEffects.resolve(this, targets)
+      await game.CoC7socket.executeAsGM('gmapplyspelleffects', results)
+      await CoC7SpellEffects.createSanChecks(results)
+    }
+    return await this.toCastMessage({ losses, results })
+  }
+
+  async toCastMessage ({ losses = [], results = [], notice = null } = {}) {
+    const template = 'systems/CoC7/templates/items/spell/chat.html'
+    const description = this.data.data.description.value
+    const html = await renderTemplate(template, {
+      description,
+      losses,
+      results,
+      notice
+    })
+    return await ChatMessage.create({
+      user: game.user.id,
+      speaker: ChatMessage.getSpeaker({ actor: this.actor }),
+      flavor: this.name,
+      content: html
+    })
+  }
+
+  /**
+   * Optional rule: the first casting of a spell needs a POW roll,
+   * a Hard one if the spell was learned from a book. A failed roll can be pushed.
+   * @returns {Object} null if no roll is needed, { passed, pushed } otherwise.
+   */
+  async rollCasting () {
+    if (!game.settings.get('CoC7', 'spellCastingRoll')) return null
+    if (parseInt(this.data.data.casts) > 0) return null
+    const difficulty = this.data.data.learned
+      ? CoC7Check.difficultyLevel.hard
+      : CoC7Check.difficultyLevel.regular
+    let check = await this.castingCheck(difficulty)
+    if (check.passed) return { passed: true, pushed: false }
+    if (check.isFumble) return { passed: false, pushed: false }
+    const push = await Dialog.confirm({
+      title: game.i18n.localize('CoC7.PushCasting'),
+      content: `<p>${game.i18n.format('CoC7.PushCastingHint', {
+        spell: this.name
+      })}</p>`,
+      defaultYes: false
+    })
+    if (!push) return { passed: false, pushed: false }
+    check = await this.castingCheck(difficulty, true)
+    return { passed: check.passed, pushed: true }
+  }
+
+  async castingCheck (difficulty, pushing = false) {
+    const check = CoC7Check.create({
+      actorKey: this.actor.actorKey,
+      characteristic: 'pow',
+      difficulty: difficulty
+    })
+    check.denyPush = true
+    check.denyLuck = true
+    check.pushing = pushing
+    check.flavor = game.i18n.format('CoC7.CastingSpell', { spell: this.name })
+    await check.roll()
+    await check.toMessage(pushing)
+    return check
+  }
+
+  async rollFailureConsequence () {
+    const id = game.settings.get('CoC7', 'spellPushFailureTable')
+    const table = id && id !== 'none' ? game.tables.get(id) : null
+    if (table) return await table.draw()
+    ui.notifications.info(game.i18n.localize('CoC7.SpellPushFailedKeeper'))
+  }
+
+  /**
+   * @returns {Array} losses, null if the casting was cancelled.
+   */
+  async payCosts () {
     const costs = this.data.data.costs
     const losses = []
     let convertSurplusIntoHitPoints
@@ -64,21 +190,112 @@ export class CoC7Spell extends CoC7Item {
         }
         new Dialog(data).render(true)
       })
-      if (!convertSurplusIntoHitPoints) return
+      if (!convertSurplusIntoHitPoints) return null
     }
     for (const [key, value] of Object.entries(costs)) {
       if (!value || Number(value) === 0) continue
       losses.push(await this.resolveLosses(key, value))
     }
-    const template = 'systems/CoC7/templates/items/spell/chat.html'
-    const description = this.data.data.description.value
-    const html = await renderTemplate(template, { description, losses })
-    return await ChatMessage.create({
-      user: game.user.id,
-      speaker: ChatMessage.getSpeaker({ actor: this.actor }),
-      flavor: this.name,
-      content: html
-    })
+    return losses
+  }
+
+  /**
+   * Casting time as written on the spell, ie '5 rounds', '1D6 rounds', '10 minutes', '1 hour'.
+   * A number alone is a number of rounds, dice are rolled. Any other text is an instant casting.
+   * @returns {Object} { rounds } or { seconds }, null for instant spells.
+   */
+  static async parseCastingTime (text) {
+    const match = String(text || '')
+      .trim()
+      .toLowerCase()
+      .match(
+        /^(\d*d\d+(?:\s*[+-]\s*\d+)?|\d+)\s*(?:(round|second|minute|hour|day|week|month)s?)?$/
+      )
+    if (!match) return null
+    const value = match[1].includes('d')
+      ? (await new Roll(match[1]).roll({ async: true })).total
+      : parseInt(match[1])
+    const unit = match[2] || 'round'
+    if (unit === 'round') return value > 1 ? { rounds: value } : null
+    const units = {
+      second: 1,
+      minute: 60,
+      hour: 3600,
+      day: 86400,
+      week: 604800,
+      month: 2592000
+    }
+    const seconds = value * units[unit]
+    return seconds > CONFIG.time.roundTime ? { seconds: seconds } : null
+  }
+
+  /**
+   * Rituals complete on the combat tracker when the caster is in combat, on the world clock otherwise.
+   * They are kept by spell in the rituals flag of the caster.
+   */
+  async startRitual (targets, duration) {
+    const ritual = {
+      spellId: this.id,
+      bookId: this.context?.bookId || null,
+      targets: targets.map(target => target.actorKey)
+    }
+    const combatant = game.combat?.combatants.find(
+      c => c.actor?.actorKey === this.actor.actorKey
+    )
+    if (duration.rounds && combatant) {
+      ritual.combatId = game.combat.id
+      ritual.round = game.combat.round + duration.rounds
+    } else {
+      ritual.worldTime =
+        game.time.worldTime +
+        (duration.seconds || duration.rounds * CONFIG.time.roundTime)
+    }
+    await CoC7Book.interruptStudy(this.actor)
+    await this.actor.setFlag('CoC7', `rituals.${this.id}`, ritual)
+  }
+
+  /**
+   * Complete the rituals that are over, called by the GM when the combat round or the world time change.
+   */
+  static async checkRituals () {
+    if (!game.user.isGM) return
+    const actors = game.actors.contents.concat(
+      (canvas?.tokens?.placeables || [])
+        .filter(token => token.actor && !token.data.actorLink)
+        .map(token => token.actor)
+    )
+    for (const actor of actors) {
+      const rituals = actor.getFlag('CoC7', 'rituals') || {}
+      for (const [key, ritual] of Object.entries(rituals)) {
+        if (ritual.combatId) {
+          const combat = game.combats.get(ritual.combatId)
+          if (combat && combat.round < ritual.round) continue
+        } else if (game.time.worldTime < ritual.worldTime) continue
+
+        await actor.unsetFlag('CoC7', `rituals.${key}`)
+        await CoC7Spell.completeRitual(actor, ritual)
+      }
+    }
+  }
+
+  /**
+   * Cast the spell of a ritual over, the spell may come from a book of the caster.
+   */
+  static async completeRitual (actor, ritual) {
+    let spell = actor.items.get(ritual.spellId)
+    if (!spell && ritual.bookId) {
+      const data = actor.items
+        .get(ritual.bookId)
+        ?.data.data.spells?.find(s => s._id === ritual.spellId)
+      if (data) {
+        spell = new CoC7Spell(data, { parent: actor, bookId: ritual.bookId })
+      }
+    }
+    if (!spell) return
+    const targets = ritual.targets
+      .map(key => chatHelper.getActorFromKey(key))
+      .filter(target => target)
+    await spell.completeCasting(targets)
   }
 
   async resolveLosses (characteristic, value) {
@@ -93,7 +310,11 @@ export class CoC7Spell extends CoC7Item {
     switch (characteristic) {
       case 'hitPoints':
         characteristicName = game.i18n.localize('CoC7.HitPoints')
-        this.actor.dealDamage(loss, { ignoreArmor: true })
+        this.actor.dealDamage(loss, {
+          ignoreArmor: true,
+          source: this.name,
+          sourceType: 'spell'
+        })
         break
       case 'sanity':
         characteristicName = game.i18n.localize('CoC7.SanityPoints')
@@ -101,7 +322,10 @@ export class CoC7Spell extends CoC7Item {
         break
       case 'magicPoints':
         characteristicName = game.i18n.localize('CoC7.MagicPoints')
-        this.actor.setMp(actorData.attribs.mp.value - loss)
+        this.actor.setMp(actorData.attribs.mp.value - loss, {
+          type: 'spell',
+          name: this.name
+        })
         break
       case 'power':
         characteristicName = game.i18n.localize('CHARAC.Power')
@@ -135,7 +359,8 @@ export class CoC7Spell extends CoC7Item {
           fastForward: false,
           sanData: {
             sanMin: sanityLoss,
-            sanMax: sanityLoss
+            sanMax: sanityLoss,
+            source: { type: 'spell', name: this.name }
           }
         })
       )
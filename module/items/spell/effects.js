@@ -0,0 +1,196 @@
+/* global CONST, game, Roll */
+
+import { chatHelper } from '../../chat/helper.js'
+import { CoC7Check } from '../../check.js'
+import { COC7 } from '../../config.js'
+import { SanCheckCard } from '../../chat/cards/san-check.js'
+
+/**
+ * Effects declared on a spell, resolved against the targeted tokens when the spell is cast.
+ * An opposed POW contest stops the following effects for targets that win it.
+ */
+export class CoC7SpellEffects {
+  static get types () {
+    return {
+      damage: 'CoC7.SpellEffectDamage',
+      drain: 'CoC7.SpellEffectDrain',
+      activeEffect: 'CoC7.SpellEffectActiveEffect',
+      sanity: 'CoC7.SpellEffectSanity',
+      opposedPow: 'CoC7.SpellEffectOpposedPow'
+    }
+  }
+
+  static get drainable () {
+    return Object.assign({}, COC7.characteristics, { mp: 'CoC7.MagicPoints' })
+  }
+
+  static async rollFormula (formula) {
+    if (!formula) return 0
+    if (!isNaN(Number(formula))) return Number(formula)
+    return (await new Roll(String(formula)).roll({ async: true })).total
+  }
+
+  /**
+   * Opposed POW roll, the best success level wins and ties go to the highest POW.
+   * @returns {Object} the inline rolls and true if the caster won.
+   */
+  static async opposePow (caster, target) {
+    const casterCheck = CoC7Check.create({
+      actorKey: caster.actorKey,
+      characteristic: 'pow'
+    })
+    const targetCheck = CoC7Check.create({
+      actorKey: target.actorKey,
+      characteristic: 'pow'
+    })
+    await casterCheck.roll()
+    await targetCheck.roll()
+    let won = casterCheck.successLevel > targetCheck.successLevel
+    if (casterCheck.successLevel === targetCheck.successLevel) {
+      won =
+        casterCheck.passed &&
+        caster.characteristics.pow.value >= target.characteristics.pow.value
+    }
+    return {
+      caster: casterCheck.inlineCheck.outerHTML,
+      target: targetCheck.inlineCheck.outerHTML,
+      won: won
+    }
+  }
+
+  /**
+   * Roll the spell effects for each target.
+   * @param {CoC7Spell} spell
+   * @param {Array} targets actors targeted by the caster.
+   * @returns {Array} one result per target, to be applied by the GM.
+   */
+  static async resolve (spell, targets) {
+    const effects = spell.data.data.effects || []
+    const results = []
+    for (const target of targets) {
+      const result = {
+        actorKey: target.actorKey,
+        name: target.name,
+        spell: spell.name,
+        effects: []
+      }
+      for (const effect of effects) {
+        if (effect.type === 'opposedPow') {
+          result.contest = await CoC7SpellEffects.opposePow(spell.actor, target)
+          if (!result.contest.won) break
+          continue
+        }
+        const resolved = { type: effect.type }
+        switch (effect.type) {
+          case 'damage':
+            resolved.value = await CoC7SpellEffects.rollFormula(effect.formula)
+            resolved.ignoreArmor = !!effect.ignoreArmor
+            resolved.text = game.i18n.format('CoC7.SpellEffectDamageResult', {
+              value: resolved.value
+            })
+            break
+          case 'drain':
+            resolved.characteristic = effect.characteristic || 'pow'
+            resolved.value = await CoC7SpellEffects.rollFormula(effect.formula)
+            resolved.text = game.i18n.format('CoC7.SpellEffectDrainResult', {
+              value: resolved.value,
+              characteristic: game.i18n.localize(
+                CoC7SpellEffects.drainable[resolved.characteristic]
+              )
+            })
+            break
+          case 'activeEffect': {
+            const mode = parseInt(effect.mode) || CONST.ACTIVE_EFFECT_MODES.ADD
+            resolved.effectData = {
+              label: effect.label || spell.name,
+              icon: spell.img,
+              origin: spell.uuid,
+              duration: {
+                rounds: parseInt(effect.duration) || undefined,
+                startRound: game.combat?.round,
+                combat: game.combat?.id
+              },
+              changes: effect.key
+                ? [{ key: effect.key, mode: mode, value: effect.value }]
+                : []
+            }
+            resolved.text = effect.label || spell.name
+            break
+          }
+          case 'sanity':
+            resolved.sanData = {
+              sanMin: effect.sanMin || 0,
+              sanMax: effect.sanMax || 0,
+              source: { type: 'spell', name: spell.name }
+            }
+            resolved.text = game.i18n.format('CoC7.SpellEffectSanityResult', {
+              loss: `${resolved.sanData.sanMin}/${resolved.sanData.sanMax}`
+            })
+            break
+          default:
+            continue
+        }
+        result.effects.push(resolved)
+      }
+      results.push(result)
+    }
+    return results
+  }
+
+  /**
+   * Apply the resolved effects to the targets, must be run by the GM.
+   */
+  static async apply (results) {
+    for (const result of results) {
+      const actor = chatHelper.getActorFromKey(result.actorKey)
+      if (!actor) continue
+      for (const effect of result.effects) {
+        switch (effect.type) {
+          case 'damage':
+            await actor.dealDamage(effect.value, {
+              ignoreArmor: effect.ignoreArmor,
+              source: result.spell,
+              sourceType: 'spell'
+            })
+            break
+          case 'drain':
+            if (effect.characteristic === 'mp') {
+              await actor.setMp(
+                actor.data.data.attribs.mp.value - effect.value,
+                { type: 'spell', name: result.spell }
+              )
+            } else {
+              const key = effect.characteristic
+              const value =
+                actor.data.data.characteristics[key].value - effect.value
+              await actor.update({
+                [`data.characteristics.${key}.value`]: Math.max(0, value)
+              })
+            }
+            break
+          case 'activeEffect':
+            await actor.createEmbeddedDocuments('ActiveEffect', [
+              effect.effectData
+            ])
+            break
+        }
+      }
+    }
+    return true
+  }
+
+  /**
+   * Witnesses roll their SAN check from their own chat card.
+   */
+  static async createSanChecks (results) {
+    for (const result of results) {
+      for (const effect of result.effects) {
+        if (effect.type === 'sanity') {
+          await SanCheckCard.create(result.actorKey, effect.sanData, {
+            fastForward: false
+          })
+        }
+      }
+    }
+  }
+}
@@ -1,4 +1,6 @@
-/* global $, game, ItemSheet, mergeObject */
+/* global $, CONST, duplicate, expandObject, flattenObject, FormDataExtended, game, ItemSheet, mergeObject */
+
+import { CoC7SpellEffects } from './effects.js'
 
 export class CoC7SpellSheet extends ItemSheet {
   static get defaultOptions () {
@@ -25,6 +27,19 @@ export class CoC7SpellSheet extends ItemSheet {
     data.data = itemData.data
     data.isKeeper = game.user.isGM
     data.isOwner = this.item.isOwner
+    data.effectTypes = CoC7SpellEffects.types
+    data.drainable = CoC7SpellEffects.drainable
+    data.effectModes = CONST.ACTIVE_EFFECT_MODES
+    data.effects = (data.data.effects || []).map(effect => {
+      return {
+        ...effect,
+        hasFormula: ['damage', 'drain'].includes(effect.type),
+        isDamage: effect.type === 'damage',
+        isDrain: effect.type === 'drain',
+        isActiveEffect: effect.type === 'activeEffect',
+        isSanity: effect.type === 'sanity'
+      }
+    })
     return data
   }
 
@@ -35,6 +50,32 @@ export class CoC7SpellSheet extends ItemSheet {
       event.preventDefault()
       this.item.cast()
     })
+    html.find('.add-effect').click(async () => {
+      const effects = duplicate(this.item.data.data.effects || [])
+      effects.push({ type: 'damage' })
+      await this.item.update({ 'data.effects': effects })
+    })
+    html.find('.remove-effect').click(async event => {
+      const index = event.currentTarget.closest('.effect').dataset.index
+      const effects = duplicate(this.item.data.data.effects || [])
+      effects.splice(index, 1)
+      await this.item.update({ 'data.effects': effects })
+    })
+  }
+
+  /** @override */
+  _getSubmitData (updateData = {}) {
+    const fd = new FormDataExtended(this.form, { editors: this.editors })
+    let data = fd.toObject()
+    if (updateData) data = mergeObject(data, updateData)
+    else data = expandObject(data)
+
+    // Handle effects array
+    if (data.data?.effects) {
+      data.data.effects = Object.values(data.data.effects)
+    }
+
+    return flattenObject(data)
   }
 
   /**
@@ -3,6 +3,7 @@ import { CoC7Chat } from './chat.js'
 import { CoC7Utilities } from './utilities.js'
 import { CoC7ActorImporterDialog } from './apps/actor-importer-dialog.js'
 import { CoC7LinkCreationDialog } from './apps/link-creation-dialog.js'
+import { CoC7SanityRewardDialog } from './apps/sanity-reward-dialog.js'
 
 class CoC7MenuLayer extends PlaceablesLayer {
   constructor () {
@@ -86,6 +87,13 @@ export class CoC7Menu {
           name: 'startrest',
           title: 'CoC7.startRest',
           onClick: async () => await CoC7Utilities.getTarget()
+        },
+        {
+          button: true,
+          icon: 'fas fa-brain',
+          name: 'sanityrewards',
+          title: 'CoC7.SanityRewards',
+          onClick: CoC7SanityRewardDialog.create
         }
       ]
     })
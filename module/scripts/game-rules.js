@@ -1,4 +1,6 @@
 /* global $, CONFIG, FormApplication, game, mergeObject */
+import { COC7 } from '../config.js'
+
 const SETTINGS = {
   pulpRules: {
     name: '',
@@ -21,6 +23,15 @@ const SETTINGS = {
     },
     onChange: rule => _setInitiativeOptions(rule)
   },
+  worldEra: {
+    name: 'SETTINGS.WorldEra',
+    hint: 'SETTINGS.WorldEraHint',
+    scope: 'world',
+    config: false,
+    default: '1920',
+    type: String,
+    choices: COC7.eras
+  },
   developmentRollForLuck: {
     name: 'SETTINGS.developmentRollForLuck',
     hint: 'SETTINGS.developmentRollForLuckHint',
@@ -85,6 +96,22 @@ const SETTINGS = {
     default: false,
     type: Boolean
   },
+  spellCastingRoll: {
+    name: 'SETTINGS.SpellCastingRoll',
+    hint: 'SETTINGS.SpellCastingRollHint',
+    scope: 'world',
+    config: false,
+    default: false,
+    type: Boolean
+  },
+  encumbranceRule: {
+    name: 'SETTINGS.EncumbranceRule',
+    hint: 'SETTINGS.EncumbranceRuleHint',
+    scope: 'world',
+    config: false,
+    default: false,
+    type: Boolean
+  },
   opposedRollTieBreaker: {
     name: 'SETTINGS.OpposedRollTieBreaker',
     hint: 'SETTINGS.OpposedRollTieBreakerHint',
@@ -138,6 +165,7 @@ export class CoC7GameRuleSettings extends FormApplication {
         pulpRules[options[k].value] = true
       }
     }
+    options.eras = COC7.eras
     options.pulpSelection = pulpRules.true
       ? pulpRules.false
         ? 'some'
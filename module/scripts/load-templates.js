@@ -23,6 +23,10 @@ export const preloadHandlebarsTemplates = async function () {
     'systems/CoC7/templates/actors/parts/development-controls.html',
     'systems/CoC7/templates/actors/parts/vitals.html',
     'systems/CoC7/templates/actors/parts/combat.html',
+    'systems/CoC7/templates/actors/parts/actor-wounds.html',
+    'systems/CoC7/templates/actors/parts/actor-delusions.html',
+    'systems/CoC7/templates/actors/parts/actor-history.html',
+    'systems/CoC7/templates/actors/parts/attack-profiles.html',
     'systems/CoC7/templates/actors/character-sheet-v2.html',
     'systems/CoC7/templates/actors/character/summary.html',
 
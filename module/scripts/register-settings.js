@@ -362,6 +362,22 @@ export function registerSettings () {
     default: false,
     type: Boolean
   })
+  game.settings.register('CoC7', 'hitLocations', {
+    name: 'SETTINGS.HitLocations',
+    hint: 'SETTINGS.HitLocationsHint',
+    scope: 'world',
+    config: true,
+    default: false,
+    type: Boolean
+  })
+  game.settings.register('CoC7', 'armorStacking', {
+    name: 'SETTINGS.ArmorStacking',
+    hint: 'SETTINGS.ArmorStackingHint',
+    scope: 'world',
+    config: true,
+    default: false,
+    type: Boolean
+  })
 
   /**
    * Dice So Nice
@@ -460,6 +476,13 @@ export function registerSettings () {
     type: Boolean,
     default: true
   })
+  game.settings.register('CoC7', 'sanityRewards', {
+    name: 'Sanity rewards by scenario',
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {}
+  })
   /** Set an initiative formula for the system */
   CONFIG.Combat.initiative = {
     formula: '@characteristics.dex.value',